@@ -13,6 +13,10 @@ import pg from "pg";
 import crypto from "crypto";
 import cron from "node-cron";
 import https from "https";
+import fs from "fs";
+import readline from "readline";
+import nodePath from "path";
+import { AsyncLocalStorage } from "async_hooks";
 
 /* ===============================
    🚀 APP INIT & GLOBAL AGENTS
@@ -21,14 +25,20 @@ const app = express();
 const eddCache = new Map();
 const rateLimiter = new Map();
 
-// Circuit Breaker State
-const circuitBreakers = {
-  bluedart: { failures: 0, openUntil: 0 },
-  shiprocket: { failures: 0, openUntil: 0 }
+// Circuit Breaker State (one entry per registered courier adapter, see registerCourier)
+const circuitBreakers = {};
+const DEFAULT_ORIGIN_PINCODE = "411022";
+// Used until the warehouses table has loaded (and if it is ever empty)
+const DEFAULT_WAREHOUSE = {
+  code: "default", name: "Primary warehouse", pincode: DEFAULT_ORIGIN_PINCODE, state_code: "MH", pickup_cutoff: "14:00",
+  working_days: [1, 2, 3, 4, 5, 6], couriers: null, skus: null, shopify_location_id: null
 };
 const CIRCUIT_THRESHOLD = 5;
 const CIRCUIT_COOLDOWN = 5 * 60 * 1000;
 
+// Identifies this process in job locks and scheduler leases
+const INSTANCE_ID = `${process.env.RENDER_INSTANCE_ID || "local"}:${process.pid}`;
+
 axios.defaults.timeout = 25000;
 
 const httpsAgent = new https.Agent({ keepAlive: true, maxSockets: 5 });
@@ -40,14 +50,22 @@ app.use(express.json({
 
 // 📢 THE DOORBELL: This will print every incoming request to your Render logs
 app.use((req, res, next) => {
-  console.log(`🔔 Incoming: ${req.method} ${req.path} from ${req.ip}`);
+  logLine(`🔔 Incoming: ${req.method} ${req.path} from ${req.ip}`);
   next();
 });
 
+// Shopify retries reuse x-shopify-webhook-id, so every delivery attempt of one webhook shares an id
+app.use((req, res, next) => {
+  const incoming = String(req.headers["x-shopify-webhook-id"] || req.headers["x-request-id"] || "").slice(0, 100);
+  const correlationId = incoming || newCorrelationId("req");
+  res.setHeader("x-correlation-id", correlationId);
+  withCorrelation(correlationId, next);
+});
+
 app.use((req, res, next) => {
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, x-admin-key");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, x-admin-key, x-admin-user, x-tracking-session");
   if (req.method === "OPTIONS") return res.sendStatus(200);
   next();
 });
@@ -58,7 +76,15 @@ const {
   CLIENT_ID, CLIENT_SECRET, LOGIN_ID, BD_LICENCE_KEY_TRACK, BD_LICENCE_KEY_EDD,
   SHIPROCKET_EMAIL, SHIPROCKET_PASSWORD, DATABASE_URL, SHOPIFY_WEBHOOK_SECRET,
   SHOPIFY_ACCESS_TOKEN, SHOP_NAME, SHOPIFY_API_VERSION,
-  ADMIN_SECRET
+  ADMIN_SECRET, DELHIVERY_API_TOKEN,
+  NOTIFY_CHANNELS, NOTIFY_QUIET_START, NOTIFY_QUIET_END, NOTIFY_STUB_FILE,
+  NOTIFY_WHATSAPP_PROVIDER, NOTIFY_SMS_PROVIDER, NOTIFY_EMAIL_PROVIDER,
+  WHATSAPP_PHONE_NUMBER_ID, WHATSAPP_ACCESS_TOKEN,
+  MSG91_AUTH_KEY, MSG91_SENDER_ID, SENDGRID_API_KEY, NOTIFY_EMAIL_FROM,
+  NDR_ESCALATION_HOURS, SYNC_BULK_MIN_DAYS, SCHEDULER_BATCH_SIZE, COURIER_LIMITS,
+  PINCODE_LIVE_FALLBACK, LOG_TO_STDERR, ADMIN_AUTH_MODE, TRACKING_TOKEN_SECRET, OTP_SMS_PROVIDER,
+  PUBLIC_BASE_URL, TRACKING_LINK_TTL_DAYS, BRAND_NAME, BRAND_LOGO_URL, BRAND_PRIMARY_COLOR, BRAND_ACCENT_COLOR,
+  METRICS_TOKEN, COD_REMITTANCE_DAYS, PINCODE_IMPORT_DIR, NODE_ENV
 } = process.env;
 
 const API_VER = clean(SHOPIFY_API_VERSION) || '2026-01';
@@ -111,13 +137,195 @@ async function runMigrations() {
     `ALTER TABLE shipments_ops ADD COLUMN IF NOT EXISTS history JSONB`,
     `ALTER TABLE shipments_ops ADD COLUMN IF NOT EXISTS raw_data JSONB`,
     `ALTER TABLE orders_ops ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW()`,
+    `ALTER TABLE shipments_ops ADD COLUMN IF NOT EXISTS last_state_reason TEXT`,
+    `ALTER TABLE shipments_ops ADD COLUMN IF NOT EXISTS fulfillment_id TEXT`,
+    `ALTER TABLE shipments_ops ADD COLUMN IF NOT EXISTS lease_until TIMESTAMPTZ`,
+    `ALTER TABLE shipments_ops ADD COLUMN IF NOT EXISTS leased_by TEXT`,
     `CREATE TABLE IF NOT EXISTS processed_webhooks (
       webhook_id TEXT PRIMARY KEY, processed_at TIMESTAMPTZ DEFAULT NOW()
     )`,
+    `CREATE TABLE IF NOT EXISTS shipment_events (
+      id BIGSERIAL PRIMARY KEY, awb TEXT NOT NULL, courier TEXT, status TEXT, location TEXT,
+      scan_date TEXT, scanned_at TIMESTAMPTZ, event_hash TEXT NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(), UNIQUE (awb, event_hash)
+    )`,
+    `CREATE TABLE IF NOT EXISTS shipment_transitions (
+      id BIGSERIAL PRIMARY KEY, awb TEXT NOT NULL, from_state TEXT, to_state TEXT NOT NULL,
+      reason TEXT, courier TEXT, transitioned_at TIMESTAMPTZ DEFAULT NOW()
+    )`,
+    `CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id SERIAL PRIMARY KEY, url TEXT NOT NULL, secret TEXT NOT NULL, event_types TEXT[] NOT NULL,
+      description TEXT, active BOOLEAN DEFAULT TRUE, created_at TIMESTAMPTZ DEFAULT NOW()
+    )`,
+    `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id BIGSERIAL PRIMARY KEY, subscription_id INT REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+      event_type TEXT NOT NULL, payload JSONB NOT NULL, status TEXT DEFAULT 'pending',
+      attempts INT DEFAULT 0, next_attempt_at TIMESTAMPTZ DEFAULT NOW(), last_error TEXT,
+      last_status_code INT, created_at TIMESTAMPTZ DEFAULT NOW(), delivered_at TIMESTAMPTZ
+    )`,
+    `CREATE TABLE IF NOT EXISTS notification_templates (
+      event_key TEXT, channel TEXT, subject TEXT, body TEXT NOT NULL, active BOOLEAN DEFAULT TRUE,
+      updated_at TIMESTAMPTZ DEFAULT NOW(), PRIMARY KEY (event_key, channel)
+    )`,
+    `CREATE TABLE IF NOT EXISTS notification_log (
+      id BIGSERIAL PRIMARY KEY, order_id TEXT NOT NULL, awb TEXT NOT NULL DEFAULT '', event_key TEXT NOT NULL,
+      channel TEXT NOT NULL, recipient TEXT, provider TEXT, subject TEXT, body TEXT,
+      status TEXT DEFAULT 'pending', error TEXT, send_after TIMESTAMPTZ DEFAULT NOW(),
+      created_at TIMESTAMPTZ DEFAULT NOW(), sent_at TIMESTAMPTZ,
+      UNIQUE (order_id, awb, event_key, channel)
+    )`,
+    `ALTER TABLE notification_log ADD COLUMN IF NOT EXISTS attempts INT DEFAULT 0`,
+    `ALTER TABLE notification_log ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ DEFAULT NOW()`,
+    `CREATE TABLE IF NOT EXISTS ndr_actions (
+      id BIGSERIAL PRIMARY KEY, awb TEXT NOT NULL, courier TEXT, action TEXT NOT NULL, params JSONB,
+      performed_by TEXT NOT NULL, status TEXT, response JSONB, error TEXT, created_at TIMESTAMPTZ DEFAULT NOW()
+    )`,
+    `CREATE TABLE IF NOT EXISTS ndr_escalations (
+      awb TEXT, ndr_since TIMESTAMPTZ, escalated_at TIMESTAMPTZ DEFAULT NOW(), PRIMARY KEY (awb, ndr_since)
+    )`,
+    `CREATE TABLE IF NOT EXISTS shopify_fulfillment_events (
+      id BIGSERIAL PRIMARY KEY, awb TEXT NOT NULL, milestone TEXT NOT NULL, order_id TEXT,
+      message TEXT, city TEXT, happened_at TIMESTAMPTZ DEFAULT NOW(), status TEXT DEFAULT 'pending',
+      attempts INT DEFAULT 0, next_attempt_at TIMESTAMPTZ DEFAULT NOW(), last_error TEXT,
+      shopify_event_id TEXT, created_at TIMESTAMPTZ DEFAULT NOW(), posted_at TIMESTAMPTZ,
+      UNIQUE (awb, milestone)
+    )`,
+    `CREATE TABLE IF NOT EXISTS sync_jobs (
+      id SERIAL PRIMARY KEY, kind TEXT NOT NULL, mode TEXT NOT NULL, window_start TIMESTAMPTZ,
+      window_end TIMESTAMPTZ, max_orders INT, cursor JSONB, status TEXT DEFAULT 'queued',
+      orders_synced INT DEFAULT 0, pages INT DEFAULT 0, attempts INT DEFAULT 0, last_error TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW(), started_at TIMESTAMPTZ, finished_at TIMESTAMPTZ,
+      heartbeat_at TIMESTAMPTZ
+    )`,
+    `CREATE TABLE IF NOT EXISTS ops_jobs (
+      id SERIAL PRIMARY KEY, type TEXT NOT NULL, params JSONB DEFAULT '{}', dedup_key TEXT,
+      status TEXT DEFAULT 'queued', progress_done INT DEFAULT 0, progress_total INT,
+      attempts INT DEFAULT 0, last_error TEXT, locked_by TEXT, created_at TIMESTAMPTZ DEFAULT NOW(),
+      started_at TIMESTAMPTZ, finished_at TIMESTAMPTZ, heartbeat_at TIMESTAMPTZ
+    )`,
+    `CREATE TABLE IF NOT EXISTS warehouses (
+      id SERIAL PRIMARY KEY, code TEXT UNIQUE NOT NULL, name TEXT, pincode TEXT NOT NULL,
+      pickup_cutoff TEXT DEFAULT '14:00', working_days INT[] DEFAULT '{1,2,3,4,5,6}',
+      couriers TEXT[], skus TEXT[], shopify_location_id TEXT, priority INT DEFAULT 100,
+      active BOOLEAN DEFAULT TRUE, created_at TIMESTAMPTZ DEFAULT NOW()
+    )`,
+    `INSERT INTO warehouses (code, name, pincode) VALUES ('default', 'Primary warehouse', '${DEFAULT_ORIGIN_PINCODE}')
+      ON CONFLICT (code) DO NOTHING`,
+    `ALTER TABLE shipments_ops ADD COLUMN IF NOT EXISTS origin_location_id TEXT`,
+    `ALTER TABLE warehouses ADD COLUMN IF NOT EXISTS state_code TEXT`,
+    // pattern: exact pincode ("110001") or prefix ending in * ("79*"); max_order_value blocks COD only above it
+    // manual = tier/serviceable were set by hand and survive re-imports
+    `CREATE TABLE IF NOT EXISTS pincodes (
+      pincode TEXT PRIMARY KEY, district TEXT, state TEXT, state_code TEXT, region TEXT, circle TEXT,
+      tier TEXT, serviceable BOOLEAN DEFAULT TRUE, manual BOOLEAN DEFAULT FALSE, source TEXT,
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_pincodes_district ON pincodes(state_code, district)`,
+    `CREATE TABLE IF NOT EXISTS admin_api_keys (
+      id TEXT PRIMARY KEY, name TEXT NOT NULL, key_hash TEXT NOT NULL UNIQUE, scopes TEXT[] NOT NULL,
+      created_by TEXT, rotated_from TEXT, expires_at TIMESTAMPTZ, revoked_at TIMESTAMPTZ,
+      last_used_at TIMESTAMPTZ, created_at TIMESTAMPTZ DEFAULT NOW()
+    )`,
+    `CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id BIGSERIAL PRIMARY KEY, key_id TEXT, key_name TEXT, method TEXT, path TEXT, params JSONB,
+      status INT, ip TEXT, created_at TIMESTAMPTZ DEFAULT NOW()
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_audit_created ON admin_audit_log(created_at DESC)`,
+    `CREATE TABLE IF NOT EXISTS tracking_otps (
+      id BIGSERIAL PRIMARY KEY, phone TEXT NOT NULL, code_hash TEXT NOT NULL, attempts INT DEFAULT 0,
+      ip TEXT, expires_at TIMESTAMPTZ NOT NULL, consumed_at TIMESTAMPTZ, created_at TIMESTAMPTZ DEFAULT NOW()
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_tracking_otps_phone ON tracking_otps(phone, created_at DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_orders_phone_digits ON orders_ops ((RIGHT(regexp_replace(customer_phone, '\\D', '', 'g'), 10)))`,
+    `CREATE TABLE IF NOT EXISTS cod_rules (
+      id SERIAL PRIMARY KEY, pattern TEXT NOT NULL, reason TEXT, max_order_value NUMERIC,
+      active BOOLEAN DEFAULT TRUE, created_at TIMESTAMPTZ DEFAULT NOW()
+    )`,
+    `UPDATE warehouses SET state_code = 'MH' WHERE code = 'default' AND state_code IS NULL`,
+    // scope: national | state (region = state code, e.g. MH) | courier (courier = adapter name)
+    `CREATE TABLE IF NOT EXISTS holidays (
+      id SERIAL PRIMARY KEY, holiday_date DATE NOT NULL, name TEXT, scope TEXT NOT NULL,
+      region TEXT NOT NULL DEFAULT '', courier TEXT NOT NULL DEFAULT '',
+      no_pickup BOOLEAN DEFAULT TRUE, no_delivery BOOLEAN DEFAULT TRUE, source TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW(), UNIQUE (holiday_date, scope, region, courier)
+    )`,
+    `CREATE TABLE IF NOT EXISTS lane_stats (
+      origin_pincode TEXT, dest_level TEXT, dest_key TEXT, courier TEXT, samples INT,
+      mean_days NUMERIC, stddev_days NUMERIC, p50_days NUMERIC, p90_days NUMERIC,
+      updated_at TIMESTAMPTZ DEFAULT NOW(), PRIMARY KEY (origin_pincode, dest_level, dest_key, courier)
+    )`,
+    // Promised delivery band: from checkout (order note attributes) or the courier's first EDD
+    `ALTER TABLE orders_ops ADD COLUMN IF NOT EXISTS promised_edd_from DATE`,
+    `ALTER TABLE orders_ops ADD COLUMN IF NOT EXISTS promised_edd_to DATE`,
+    `ALTER TABLE shipments_ops ADD COLUMN IF NOT EXISTS promised_edd_from DATE`,
+    `ALTER TABLE shipments_ops ADD COLUMN IF NOT EXISTS promised_edd_to DATE`,
+    `ALTER TABLE shipments_ops ADD COLUMN IF NOT EXISTS promised_edd_source TEXT`,
+    `ALTER TABLE shipments_ops ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ`,
+    `UPDATE shipments_ops s SET delivered_at = COALESCE(
+       (SELECT MIN(transitioned_at) FROM shipment_transitions t WHERE t.awb = s.awb AND t.to_state = 'DELIVERED'),
+       s.last_checked_at)
+     WHERE s.last_state = 'DELIVERED' AND s.delivered_at IS NULL`,
+    `CREATE INDEX IF NOT EXISTS idx_shipments_delivered_at ON shipments_ops(delivered_at) WHERE delivered_at IS NOT NULL`,
+    `CREATE INDEX IF NOT EXISTS idx_shipments_promised ON shipments_ops(promised_edd_to) WHERE delivered IS DISTINCT FROM TRUE`,
+    `CREATE TABLE IF NOT EXISTS cod_remittance_batches (
+      id SERIAL PRIMARY KEY, courier TEXT NOT NULL, format TEXT, file_name TEXT, reference TEXT,
+      rows_total INT, rows_inserted INT, uploaded_by TEXT, content_hash TEXT, created_at TIMESTAMPTZ DEFAULT NOW()
+    )`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_cod_batches_content ON cod_remittance_batches(courier, content_hash)`,
+    `CREATE TABLE IF NOT EXISTS cod_remittances (
+      id BIGSERIAL PRIMARY KEY, batch_id INT, courier TEXT NOT NULL, awb TEXT NOT NULL, amount NUMERIC NOT NULL,
+      remitted_on DATE, utr TEXT NOT NULL DEFAULT '', line_no INT NOT NULL DEFAULT 0, raw JSONB,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )`,
+    // A UTR identifies a payout across statements; without one, a line is only unique within its batch
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_cod_remittances_utr ON cod_remittances(courier, awb, utr) WHERE utr <> ''`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_cod_remittances_line ON cod_remittances(batch_id, awb, line_no) WHERE utr = ''`,
+    `CREATE INDEX IF NOT EXISTS idx_cod_remittances_awb ON cod_remittances(awb)`,
+    // status: matched | short_paid | over_paid | awaiting | missing | rto_remitted | rto
+    `CREATE TABLE IF NOT EXISTS cod_reconciliation (
+      order_id TEXT PRIMARY KEY, order_number TEXT, awbs TEXT[], courier TEXT,
+      expected_amount NUMERIC, remitted_amount NUMERIC, status TEXT NOT NULL,
+      delivered_at TIMESTAMPTZ, last_remitted_on DATE, status_since TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_cod_reconciliation_status ON cod_reconciliation(status, courier)`,
+    // Per-courier, per-zone forward rates (pre-GST, as on the courier's rate card)
+    `CREATE TABLE IF NOT EXISTS rate_cards (
+      id SERIAL PRIMARY KEY, courier TEXT NOT NULL, zone TEXT NOT NULL,
+      base_weight_kg NUMERIC NOT NULL DEFAULT 0.5, base_rate NUMERIC NOT NULL,
+      slab_kg NUMERIC NOT NULL DEFAULT 0.5, additional_rate NUMERIC NOT NULL DEFAULT 0,
+      cod_fixed NUMERIC DEFAULT 0, cod_percent NUMERIC DEFAULT 0, rto_percent NUMERIC DEFAULT 100,
+      active BOOLEAN DEFAULT TRUE, updated_at TIMESTAMPTZ DEFAULT NOW(), UNIQUE (courier, zone)
+    )`,
+    `CREATE TABLE IF NOT EXISTS freight_invoices (
+      id SERIAL PRIMARY KEY, courier TEXT NOT NULL, invoice_number TEXT NOT NULL, invoice_date DATE,
+      file_name TEXT, rows_total INT, uploaded_by TEXT, audited_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT NOW(), UNIQUE (courier, invoice_number)
+    )`,
+    `CREATE TABLE IF NOT EXISTS freight_invoice_lines (
+      id BIGSERIAL PRIMARY KEY, invoice_id INT NOT NULL, awb TEXT NOT NULL, zone TEXT,
+      billed_weight_kg NUMERIC, freight NUMERIC, cod_charge NUMERIC, rto_charge NUMERIC, total NUMERIC, raw JSONB,
+      expected_weight_kg NUMERIC, expected_freight NUMERIC, expected_cod_charge NUMERIC, expected_rto_charge NUMERIC,
+      overcharge NUMERIC, issues TEXT[], UNIQUE (invoice_id, awb)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_freight_lines_awb ON freight_invoice_lines(awb)`,
     `CREATE INDEX IF NOT EXISTS idx_shipments_next_check ON shipments_ops(next_check_at) WHERE delivered IS DISTINCT FROM TRUE`,
     `CREATE INDEX IF NOT EXISTS idx_orders_phone ON orders_ops(customer_phone)`,
     `CREATE INDEX IF NOT EXISTS idx_shipments_order ON shipments_ops(order_id)`,
     `CREATE INDEX IF NOT EXISTS idx_logs_timestamp ON system_logs(timestamp DESC)`,
+    `ALTER TABLE system_logs ADD COLUMN IF NOT EXISTS correlation_id TEXT`,
+    `CREATE INDEX IF NOT EXISTS idx_logs_correlation ON system_logs(correlation_id) WHERE correlation_id IS NOT NULL`,
+    `CREATE INDEX IF NOT EXISTS idx_logs_module ON system_logs(module, id DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_logs_meta ON system_logs USING GIN (meta jsonb_path_ops)`,
+    `CREATE INDEX IF NOT EXISTS idx_events_awb ON shipment_events(awb, scanned_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_transitions_awb ON shipment_transitions(awb, transitioned_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending'`,
+    `CREATE INDEX IF NOT EXISTS idx_notifications_due ON notification_log(send_after) WHERE status = 'pending'`,
+    `CREATE INDEX IF NOT EXISTS idx_ndr_actions_awb ON ndr_actions(awb, created_at DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_shopify_events_due ON shopify_fulfillment_events(next_attempt_at) WHERE status = 'pending'`,
+    // One active job per dedup_key across all instances (e.g. a single mass refresh at a time)
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_ops_jobs_active ON ops_jobs(dedup_key) WHERE status IN ('queued', 'running')`,
+    `CREATE INDEX IF NOT EXISTS idx_ops_jobs_status ON ops_jobs(status, id)`,
     // FRIEND'S FIX 1: Activated the speed index for your database
     `CREATE INDEX IF NOT EXISTS idx_orders_updated_at ON orders_ops(updated_at DESC)`
   ];
@@ -125,6 +333,14 @@ async function runMigrations() {
   for (const q of queries) {
     await pool.query(q).catch(e => console.log(`Migration note: ${e.message.substring(0, 80)}`));
   }
+
+  // Default templates are only inserted once, edits made through /admin/notification-templates stick
+  for (const t of DEFAULT_NOTIFICATION_TEMPLATES) {
+    await pool.query(
+      `INSERT INTO notification_templates (event_key, channel, subject, body) VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING`,
+      [t.event_key, t.channel, t.subject || null, t.body]
+    ).catch(e => console.log(`Migration note: ${e.message.substring(0, 80)}`));
+  }
   console.log("✅ Migrations complete");
 }
 
@@ -136,29 +352,192 @@ function nowIST() {
   return new Date(d.getTime() + (330 + d.getTimezoneOffset()) * 60000);
 }
 
-function getNextWorkingDate() {
-  const d = nowIST();
-  if (d.getHours() >= 14) {
+// IST midnight of the warehouse's next pickup day (as an IST-shifted Date, like nowIST).
+// Skips the warehouse's off days and pickup holidays (national, the warehouse's state, the courier's own).
+function nextPickupDate(origin = DEFAULT_WAREHOUSE, at = nowIST(), courier = null) {
+  const [h, m] = (origin.pickup_cutoff || "14:00").split(":").map(Number);
+  const workingDays = origin.working_days?.length ? origin.working_days : DEFAULT_WAREHOUSE.working_days;
+  const d = new Date(at);
+  if (d.getHours() * 60 + d.getMinutes() >= h * 60 + (m || 0)) {
     d.setDate(d.getDate() + 1);
   }
-  if (d.getDay() === 0) {
+  const ctx = { state: origin.state_code, courier, kind: "pickup" };
+  for (let i = 0; i < 30 && (!workingDays.includes(d.getDay()) || holidayOn(d, ctx)); i++) {
     d.setDate(d.getDate() + 1);
   }
   d.setHours(0, 0, 0, 0);
-  return `/Date(${d.getTime()})/`;
+  return d;
+}
+
+function getNextWorkingDate(origin, courier = null) {
+  return `/Date(${nextPickupDate(origin, nowIST(), courier).getTime()})/`;
+}
+
+// Couriers don't deliver on Sundays or on delivery holidays for the destination state / courier
+const NON_DELIVERY_WEEKDAYS = [0];
+
+function isDeliveryDay(d, ctx = {}) {
+  return !NON_DELIVERY_WEEKDAYS.includes(d.getDay()) && !holidayOn(d, { ...ctx, kind: "delivery" });
+}
+
+function nextDeliveryDay(date, ctx = {}) {
+  const d = new Date(date);
+  for (let i = 0; i < 30 && !isDeliveryDay(d, ctx); i++) d.setDate(d.getDate() + 1);
+  return d;
+}
+
+function addDeliveryDays(date, days, ctx = {}) {
+  let d = new Date(date);
+  for (let i = 0; i < days; i++) {
+    d.setDate(d.getDate() + 1);
+    d = nextDeliveryDay(d, ctx);
+  }
+  return d;
+}
+
+// Courier EDDs arrive as ISO strings, "DD-MM-YYYY" or WCF "/Date(ms)/"
+function parseEddDate(raw) {
+  if (!raw) return null;
+  const v = String(raw).trim();
+  const wcf = v.match(/^\/Date\((\d+)([+-]\d{4})?\)\/$/);
+  const dmy = v.match(/^(\d{2})-(\d{2})-(\d{4})/);
+  const d = wcf ? new Date(parseInt(wcf[1])) : dmy ? new Date(`${dmy[3]}-${dmy[2]}-${dmy[1]}`) : new Date(v);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+// Promised date inside a stored tracking payload (Shiprocket shipment_track, BlueDart / Delhivery Shipment)
+function courierEddFromRaw(raw) {
+  if (!raw) return null;
+  const bd = raw.ShipmentData?.Shipment;
+  const shipment = Array.isArray(bd) ? bd[0] : bd || raw;
+  return raw.shipment_track?.[0]?.edd || raw.etd || shipment?.ExpectedDeliveryDate || shipment?.PromisedDeliveryDate || null;
+}
+
+// YYYY-MM-DD for a courier/checkout date. Dates without a zone are IST wall time and are
+// read as written; epoch and zoned timestamps are converted to IST.
+function eddDateKey(raw) {
+  const d = parseEddDate(raw);
+  if (!d) return null;
+  const v = String(raw).trim();
+  if (!/[zZ]|[+-]\d{2}:?\d{2}$|^\/Date/.test(v)) {
+    const ymd = v.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    const dmy = v.match(/^(\d{2})-(\d{2})-(\d{4})/);
+    if (ymd) return `${ymd[1]}-${ymd[2]}-${ymd[3]}`;
+    if (dmy) return `${dmy[3]}-${dmy[2]}-${dmy[1]}`;
+  }
+  return new Date(d.getTime() + 330 * 60000).toISOString().slice(0, 10);
+}
+
+/* ===============================
+   📄 CSV HELPERS
+================================ */
+// Quoted fields, doubled quotes and CRLF are handled. Returns one object per row,
+// keyed by the header row (lower-cased, spaces → underscores).
+function parseCsv(text) {
+  const src = text.replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some(v => v.trim() !== "")) rows.push(row);
+      row = [];
+    } else field += c;
+  }
+  row.push(field);
+  if (row.some(v => v.trim() !== "")) rows.push(row);
+
+  const [header = [], ...data] = rows;
+  const keys = header.map(csvKey);
+  return data.map(r => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? "").trim()])));
+}
+
+function csvKey(h) {
+  return h.trim().toLowerCase().replace(/\s+/g, "_");
+}
+
+// One physical line (no embedded newlines), for files too large to hold in memory
+function parseCsvLine(line) {
+  const out = [];
+  let field = "", quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { out.push(field); field = ""; }
+    else field += c;
+  }
+  out.push(field);
+  return out;
+}
+
+// First non-empty value per field, trying each header alias in order.
+// Headers are matched after csvKey with punctuation folded to "_" ("Cheque/UTR No" → cheque_utr_no).
+function aliasedFields(row, aliases) {
+  const keyed = Object.fromEntries(Object.entries(row).map(([k, v]) => [
+    csvKey(String(k)).replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, ""), v
+  ]));
+  return Object.fromEntries(Object.entries(aliases).map(([field, keys]) => [
+    field, keys.map(k => keyed[k]).find(v => v !== undefined && v !== null && String(v).trim() !== "")
+  ]));
+}
+
+// "₹1,299.00" / "Rs. 40" → number, or null when blank or unreadable
+function csvNumber(v) {
+  const n = parseFloat(String(v ?? "").replace(/[₹,\s]|Rs\.?/gi, ""));
+  return isNaN(n) ? null : n;
+}
+
+const AWB_HEADER_ALIASES = ["awb", "awb_no", "awb_number", "awb_code", "airwaybill_no", "air_waybill_no", "waybill", "tracking_number"];
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  const str = v instanceof Date ? v.toISOString() : typeof v === "object" ? JSON.stringify(v) : String(v);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function csvRow(values) {
+  return values.map(csvCell).join(",") + "\n";
 }
 
 /* ===============================
    📝 LOGGER & USAGE TRACKER
 ================================ */
+// Correlation IDs: every request, scheduler run and ops job runs inside logContext, so all
+// logEvent lines it produces (including from fire-and-forget work it started) share one id.
+const logContext = new AsyncLocalStorage();
+
+function newCorrelationId(prefix) {
+  return `${prefix}-${crypto.randomUUID()}`;
+}
+
+function withCorrelation(correlationId, fn) {
+  return logContext.run({ correlationId }, fn);
+}
+
+// LOG_TO_STDERR=true keeps stdout free for whatever is reading it (node --test uses it for results)
+const logLine = LOG_TO_STDERR === "true" ? console.error : console.log;
+
 async function logEvent(level, module, message, meta = {}) {
+  const correlationId = logContext.getStore()?.correlationId || null;
   const logMsg = `[${module}] ${message}`;
   if (level === 'ERROR') console.error(`❌ ${logMsg}`, Object.keys(meta).length ? meta : '');
-  else console.log(`✅ ${logMsg}`);
+  else logLine(`✅ ${logMsg}`);
 
   pool.query(
-    `INSERT INTO system_logs (level, module, message, meta) VALUES ($1, $2, $3, $4)`,
-    [level, module, message, JSON.stringify(meta)]
+    `INSERT INTO system_logs (level, module, message, meta, correlation_id) VALUES ($1, $2, $3, $4, $5)`,
+    [level, module, message, JSON.stringify(meta), correlationId]
   ).catch(e => console.error("Logger failed:", e.message));
 }
 
@@ -169,29 +548,266 @@ async function trackApiUsage(provider) {
   `, [provider]).catch(e => console.error("Usage track failed:", e.message));
 }
 
+/* ===============================
+   📊 METRICS
+================================ */
+// Minimal Prometheus registry: counters and histograms are updated in place, gauges that mirror
+// existing state (circuits, scheduler, pool, caches) are read when /metrics is scraped.
+const metricRegistry = new Map(); // name → { type, help, buckets, series: Map(labelKey → entry) }
+
+function defineMetric(name, type, help, buckets = null) {
+  metricRegistry.set(name, { type, help, buckets, series: new Map() });
+}
+
+function metricSeries(name, labels) {
+  const metric = metricRegistry.get(name);
+  const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+  if (!metric.series.has(key)) {
+    metric.series.set(key, metric.type === "histogram"
+      ? { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 });
+  }
+  return metric.series.get(key);
+}
+
+function incCounter(name, labels = {}, by = 1) {
+  metricSeries(name, labels).value += by;
+}
+
+function setGauge(name, labels, value) {
+  metricSeries(name, labels).value = value;
+}
+
+function observeHistogram(name, labels, value) {
+  const entry = metricSeries(name, labels);
+  metricRegistry.get(name).buckets.forEach((le, i) => { if (value <= le) entry.counts[i]++; });
+  entry.sum += value;
+  entry.count++;
+}
+
+function formatLabels(labels, extra = {}) {
+  const all = { ...labels, ...extra };
+  const parts = Object.entries(all).map(([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function renderMetrics() {
+  const out = [];
+  for (const [name, metric] of metricRegistry) {
+    out.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+    for (const entry of metric.series.values()) {
+      if (metric.type !== "histogram") { out.push(`${name}${formatLabels(entry.labels)} ${entry.value}`); continue; }
+      metric.buckets.forEach((le, i) => out.push(`${name}_bucket${formatLabels(entry.labels, { le })} ${entry.counts[i]}`));
+      out.push(`${name}_bucket${formatLabels(entry.labels, { le: "+Inf" })} ${entry.count}`);
+      out.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`, `${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    }
+  }
+  return out.join("\n") + "\n";
+}
+
+defineMetric("courier_api_request_duration_seconds", "histogram", "Courier API call latency", [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 25]);
+defineMetric("courier_api_errors_total", "counter", "Failed courier API calls by error code");
+defineMetric("courier_circuit_open", "gauge", "1 while the courier circuit breaker is open");
+defineMetric("courier_circuit_failures", "gauge", "Consecutive failures counted by the circuit breaker");
+defineMetric("scheduler_queue_depth", "gauge", "Shipments due for a tracking check");
+defineMetric("scheduler_lag_seconds", "gauge", "How overdue the oldest due shipment is");
+defineMetric("scheduler_in_flight", "gauge", "Tracking checks currently running on this instance");
+defineMetric("courier_limiter_active", "gauge", "Courier API calls holding a concurrency slot");
+defineMetric("courier_limiter_waiting", "gauge", "Courier API calls queued behind the limiter");
+defineMetric("scheduler_processed_total", "counter", "Tracking checks finished by the scheduler");
+defineMetric("webhook_receipts_total", "counter", "Inbound webhooks by topic and verification result");
+defineMetric("edd_cache_lookups_total", "counter", "EDD cache lookups by result");
+defineMetric("edd_cache_hit_ratio", "gauge", "EDD cache hits / lookups since start");
+defineMetric("edd_cache_entries", "gauge", "Entries in the EDD cache");
+defineMetric("db_pool_connections", "gauge", "Postgres pool connections by state");
+defineMetric("db_pool_max", "gauge", "Postgres pool size limit");
+
+// Every axios call to a courier host is timed; endpoint is the URL path with ids collapsed
+const COURIER_API_HOSTS = {
+  "apigateway.bluedart.com": "bluedart", "api.bluedart.com": "bluedart",
+  "apiv2.shiprocket.in": "shiprocket", "track.delhivery.com": "delhivery"
+};
+
+function recordCourierCall(config, status, code) {
+  if (!config?.metricStart) return;
+  let url;
+  try { url = new URL(config.url, config.baseURL); } catch { return; }
+  const provider = COURIER_API_HOSTS[url.hostname];
+  if (!provider) return;
+  const endpoint = url.pathname.split("/").map(seg => /\d{5,}/.test(seg) || seg.length > 32 ? ":id" : seg).join("/");
+  const seconds = (performance.now() - config.metricStart) / 1000;
+  observeHistogram("courier_api_request_duration_seconds", { provider, endpoint, status: status ? String(status) : "none" }, seconds);
+  if (!status || status >= 400) incCounter("courier_api_errors_total", { provider, endpoint, code: code || `HTTP_${status}` });
+}
+
+axios.interceptors.request.use(config => { config.metricStart = performance.now(); return config; });
+axios.interceptors.response.use(
+  r => { recordCourierCall(r.config, r.status); return r; },
+  e => { recordCourierCall(e.config, e.response?.status, e.code); return Promise.reject(e); }
+);
+
 /* ===============================
    🔐 SECURITY & HELPERS
 ================================ */
+// Metric label for the receiving route. Never taken from request headers: they arrive before the
+// HMAC check, and every distinct label value is a new series held in memory.
+const SHOPIFY_WEBHOOK_TOPICS = ["orders_paid", "fulfillments_create", "orders_cancelled", "orders_updated"];
+
 function verifyShopify(req) {
+  const route = req.path.split("/").pop();
+  const topic = SHOPIFY_WEBHOOK_TOPICS.includes(route) ? route : "other";
   const secret = clean(SHOPIFY_WEBHOOK_SECRET);
-  if (!secret || !req.rawBody) return false;
+  if (!secret || !req.rawBody) {
+    incCounter("webhook_receipts_total", { topic, result: secret ? "missing_body" : "no_secret" });
+    return false;
+  }
   const digest = crypto.createHmac("sha256", secret).update(req.rawBody).digest("base64");
-  return digest === req.headers["x-shopify-hmac-sha256"];
+  const valid = digest === req.headers["x-shopify-hmac-sha256"];
+  incCounter("webhook_receipts_total", { topic, result: valid ? "valid" : "invalid" });
+  return valid;
+}
+
+// Compact signed tokens: base64url(JSON payload).base64url(HMAC). typ keeps one kind of token
+// from being accepted where another is expected. Links and sessions go out by SMS and email, so
+// the secret has to be shared by every instance and survive restarts: without TRACKING_TOKEN_SECRET
+// no tokens are minted or accepted and OTP verification is off.
+const TOKEN_SECRET = clean(TRACKING_TOKEN_SECRET) || null;
+if (!TOKEN_SECRET) console.error("❌ TRACKING_TOKEN_SECRET not set, tracking links, sessions and OTPs are disabled");
+
+// null when TRACKING_TOKEN_SECRET is missing
+function signToken(typ, claims, ttlSeconds) {
+  if (!TOKEN_SECRET) return null;
+  const payload = Buffer.from(JSON.stringify({ ...claims, typ, exp: Math.floor(Date.now() / 1000) + ttlSeconds })).toString("base64url");
+  const sig = crypto.createHmac("sha256", TOKEN_SECRET).update(payload).digest("base64url");
+  return `${payload}.${sig}`;
+}
+
+// Never throws: tokens arrive straight from URLs and headers, so anything malformed is just invalid
+function verifyToken(token, typ) {
+  if (!TOKEN_SECRET) return null;
+  try {
+    const [payload, sig] = String(token || "").split(".");
+    // An HMAC-SHA256 in base64url is always 43 ASCII characters, so the buffers below match in length
+    if (!payload || !/^[A-Za-z0-9_-]{43}$/.test(sig || "")) return null;
+    const expected = crypto.createHmac("sha256", TOKEN_SECRET).update(payload).digest("base64url");
+    if (!crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    if (claims.typ !== typ || !(claims.exp > Date.now() / 1000)) return null;
+    return claims;
+  } catch { return null; }
+}
+
+/* ===============================
+   🔑 ADMIN API KEYS & AUDIT
+================================ */
+// Keys look like hsk_<id>_<secret>; only a SHA-256 of the whole key is stored. Each key carries
+// named scopes ("*" = everything). ADMIN_SECRET still works as a break-glass key with every scope
+// so the first real key can be created. Keys are read from the x-admin-key or
+// "Authorization: Bearer" header; ADMIN_AUTH_MODE=legacy also accepts ?key= while clients migrate.
+const ADMIN_SCOPES = [
+  "ops:read",      // dashboards, logs, timelines, queues
+  "ops:refresh",   // mass refresh, single force refresh, cancelling jobs
+  "ops:ndr",       // NDR actions pushed to couriers
+  "admin:sync",    // Shopify syncs, imports and rebuild jobs
+  "admin:debug",   // raw courier / Shopify payloads, circuit state
+  "admin:config",  // warehouses, holidays, COD rules, templates, webhook subscriptions
+  "admin:keys",    // API keys and the audit log
+  "finance:cod",   // COD remittance uploads and reconciliation
+  "finance:freight" // courier invoice imports and dispute files
+];
+const API_KEY_CACHE_MS = 30000;
+const apiKeyCache = new Map(); // key hash → { key, at }; valid keys only, so it stays as small as admin_api_keys
+
+function hashApiKey(raw) {
+  return crypto.createHash("sha256").update(raw).digest("hex");
+}
+
+function generateApiKey() {
+  const id = crypto.randomBytes(4).toString("hex");
+  return { id, raw: `hsk_${id}_${crypto.randomBytes(24).toString("base64url")}` };
+}
+
+function presentedAdminKey(req) {
+  const bearer = req.headers.authorization?.match(/^Bearer\s+(.+)$/i)?.[1];
+  const header = req.headers["x-admin-key"] || bearer;
+  if (header) return String(header).trim();
+  return ADMIN_AUTH_MODE === "legacy" && req.query.key ? String(req.query.key).trim() : null;
+}
+
+async function resolveApiKey(raw) {
+  const envSecret = clean(ADMIN_SECRET);
+  const hash = hashApiKey(raw);
+  if (envSecret && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(hashApiKey(envSecret)))) {
+    return { id: "env", name: "ADMIN_SECRET", scopes: ["*"] };
+  }
+
+  const cached = apiKeyCache.get(hash);
+  if (cached && Date.now() - cached.at < API_KEY_CACHE_MS) return cached.key;
+  apiKeyCache.delete(hash);
+
+  const { rows } = await pool.query(`
+    SELECT id, name, scopes FROM admin_api_keys
+    WHERE key_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+  `, [hash]);
+  const key = rows[0] || null;
+  // Misses are not cached: random keys from unauthenticated callers would pile up forever
+  if (!key) return null;
+  apiKeyCache.set(hash, { key, at: Date.now() });
+  pool.query(`UPDATE admin_api_keys SET last_used_at = NOW() WHERE id = $1`, [key.id]).catch(() => {});
+  return key;
+}
+
+// Secrets and bulky uploads never reach the audit log
+function redactAuditParams(value, depth = 0) {
+  if (value === null || typeof value !== "object") {
+    return typeof value === "string" && value.length > 300 ? `[${value.length} chars]` : value;
+  }
+  if (depth > 3) return "[nested]";
+  if (Array.isArray(value)) return value.length > 20 ? `[${value.length} items]` : value.map(v => redactAuditParams(v, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([k, v]) =>
+    /secret|password|token|^key$|otp/i.test(k) ? [k, "[redacted]"] : [k, redactAuditParams(v, depth + 1)]
+  ));
+}
+
+function auditAdminCall(req, key) {
+  const write = () => pool.query(`
+    INSERT INTO admin_audit_log (key_id, key_name, method, path, params, status, ip) VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [
+    key?.id || null, key?.name || null, req.method, req.path,
+    JSON.stringify(redactAuditParams({ query: req.query, params: req.params, body: req.method === "GET" ? undefined : req.body })),
+    req.res?.statusCode || null,
+    req.headers["x-forwarded-for"]?.split(",")[0] || req.socket?.remoteAddress || null
+  ]).catch(e => console.error("Audit log failed:", e.message));
+  // Record the final status once the handler has answered
+  if (req.res && !req.res.writableEnded) req.res.once("finish", write); else write();
 }
 
-function verifyAdmin(req) {
-  const key = req.headers["x-admin-key"] || req.query.key;
-  const validKey = clean(ADMIN_SECRET) || clean(SHOPIFY_WEBHOOK_SECRET);
-  return key === validKey;
+// Resolves the caller's key, checks the scope and writes the audit entry. Sets req.adminKey.
+async function verifyAdmin(req, scope) {
+  const raw = presentedAdminKey(req);
+  let key = null;
+  try {
+    key = raw ? await resolveApiKey(raw) : null;
+  } catch (e) {
+    logEvent('ERROR', 'SECURITY', 'API key lookup failed', { error: e.message });
+  }
+  const allowed = !!key && (key.scopes.includes("*") || key.scopes.includes(scope));
+  if (raw && !allowed) {
+    logEvent('WARN', 'SECURITY', key ? `Key ${key.id} lacks scope ${scope}` : 'Rejected admin key', { path: req.path });
+  }
+  if (raw) auditAdminCall(req, key);
+  if (allowed) req.adminKey = key;
+  return allowed;
 }
 
-function checkRateLimit(ip) {
+// cost: how many of the 30 requests per minute this call uses up
+function checkRateLimit(ip, cost = 1) {
   const now = Date.now();
-  if (!rateLimiter.has(ip)) { rateLimiter.set(ip, { c: 1, t: now }); return true; }
+  if (!rateLimiter.has(ip)) rateLimiter.set(ip, { c: 0, t: now });
   const r = rateLimiter.get(ip);
-  if (now - r.t > 60000) { r.c = 1; r.t = now; return true; }
-  if (r.c >= 30) { logEvent('WARN', 'SECURITY', 'Rate Limit Exceeded', { ip }); return false; }
-  r.c++;
+  if (now - r.t > 60000) { r.c = 0; r.t = now; }
+  if (r.c + cost > 30) { logEvent('WARN', 'SECURITY', 'Rate Limit Exceeded', { ip }); return false; }
+  r.c += cost;
   return true;
 }
 
@@ -211,39 +827,185 @@ async function isWebhookDuplicate(webhookId) {
 /* ===============================
    🧠 STATE LOGIC
 ================================ */
-function resolveShipmentState(status = "", history = []) {
+// Courier status codes are mapped onto one canonical state set:
+// PROCESSING, IN_TRANSIT, OUT_FOR_DELIVERY, NDR, DELIVERED, RTO_IN_TRANSIT, RTO_DELIVERED, CANCELLED, LOST, DAMAGED
+
+// Shiprocket `sr-status` / `shipment_status` codes.
+// state: null marks informational codes, resolution then falls through to the next (older) code.
+const SHIPROCKET_STATUS_CODES = {
+  "1":  { state: "PROCESSING", reason: "AWB_ASSIGNED" },
+  "2":  { state: "PROCESSING", reason: "LABEL_GENERATED" },
+  "3":  { state: "PROCESSING", reason: "PICKUP_SCHEDULED" },
+  "4":  { state: "PROCESSING", reason: "PICKUP_QUEUED" },
+  "5":  { state: "PROCESSING", reason: "MANIFEST_GENERATED" },
+  "6":  { state: "IN_TRANSIT", reason: "SHIPPED" },
+  "7":  { state: "DELIVERED", reason: null },
+  "8":  { state: "CANCELLED", reason: null },
+  "9":  { state: "RTO_IN_TRANSIT", reason: "RTO_INITIATED" },
+  "10": { state: "RTO_DELIVERED", reason: null },
+  "12": { state: "LOST", reason: null },
+  "13": { state: "PROCESSING", reason: "PICKUP_ERROR" },
+  "14": { state: "RTO_IN_TRANSIT", reason: "RTO_ACKNOWLEDGED" },
+  "15": { state: "PROCESSING", reason: "PICKUP_RESCHEDULED" },
+  "16": { state: null, reason: "CANCELLATION_REQUESTED" },
+  "17": { state: "OUT_FOR_DELIVERY", reason: null },
+  "18": { state: "IN_TRANSIT", reason: null },
+  "19": { state: "PROCESSING", reason: "OUT_FOR_PICKUP" },
+  "20": { state: "PROCESSING", reason: "PICKUP_EXCEPTION" },
+  "21": { state: "NDR", reason: null },
+  "22": { state: "IN_TRANSIT", reason: "DELAYED" },
+  "23": { state: "DELIVERED", reason: "PARTIAL_DELIVERED" },
+  "24": { state: "LOST", reason: "DESTROYED" },
+  "25": { state: "DAMAGED", reason: null },
+  "26": { state: "DELIVERED", reason: "FULFILLED" },
+  "38": { state: "IN_TRANSIT", reason: "REACHED_DESTINATION_HUB" },
+  "39": { state: "IN_TRANSIT", reason: "MISROUTED" },
+  "40": { state: "RTO_IN_TRANSIT", reason: "RTO_NDR" },
+  "41": { state: "RTO_IN_TRANSIT", reason: "RTO_OUT_FOR_DELIVERY" },
+  "42": { state: "IN_TRANSIT", reason: "PICKED_UP" },
+  "43": { state: "DELIVERED", reason: "SELF_FULFILLED" },
+  "44": { state: "LOST", reason: "DISPOSED_OFF" },
+  "45": { state: "CANCELLED", reason: "CANCELLED_BEFORE_DISPATCH" },
+  "46": { state: "RTO_IN_TRANSIT", reason: null },
+  "47": { state: "PROCESSING", reason: "QC_FAILED" },
+  "48": { state: "IN_TRANSIT", reason: "REACHED_WAREHOUSE" },
+  "50": { state: "IN_TRANSIT", reason: "IN_FLIGHT" },
+  "51": { state: "IN_TRANSIT", reason: "HANDED_TO_COURIER" },
+  "52": { state: "PROCESSING", reason: "SHIPMENT_BOOKED" },
+  "71": { state: "PROCESSING", reason: "HANDOVER_EXCEPTION" },
+  "75": { state: "RTO_IN_TRANSIT", reason: "RTO_LOCK" },
+  "76": { state: "LOST", reason: "UNTRACEABLE" },
+  "77": { state: "NDR", reason: "RECIPIENT_ISSUE" },
+  "78": { state: "RTO_IN_TRANSIT", reason: "REACHED_SELLER_CITY" }
+};
+
+// BlueDart StatusType codes. Return-leg codes are prefixed with RET_ by trackBluedart.
+const BLUEDART_STATUS_CODES = {
+  "PU":     { state: "IN_TRANSIT", reason: "PICKED_UP" },
+  "IT":     { state: "IN_TRANSIT", reason: null },
+  "UD":     { state: "NDR", reason: null },
+  "DL":     { state: "DELIVERED", reason: null },
+  "RD":     { state: "IN_TRANSIT", reason: "REDIRECTED" },
+  "RT":     { state: "RTO_IN_TRANSIT", reason: null },
+  "NF":     { state: null, reason: "NOT_FOUND" },
+  "RET_PU": { state: "RTO_IN_TRANSIT", reason: null },
+  "RET_IT": { state: "RTO_IN_TRANSIT", reason: null },
+  "RET_UD": { state: "RTO_IN_TRANSIT", reason: "RTO_UNDELIVERED" },
+  "RET_RD": { state: "RTO_IN_TRANSIT", reason: "REDIRECTED" },
+  "RET_DL": { state: "RTO_DELIVERED", reason: null },
+  // Return leg that came back without a StatusType: a return exists, so at least RTO
+  "RET":    { state: "RTO_IN_TRANSIT", reason: null },
+  // Scan descriptions that refine an IT/UD StatusType (BlueDart reuses IT for these)
+  "SCAN:SHIPMENT OUT FOR DELIVERY": { state: "OUT_FOR_DELIVERY", reason: null },
+  "SCAN:SHIPMENT LOST":             { state: "LOST", reason: null },
+  "SCAN:SHIPMENT DAMAGED":          { state: "DAMAGED", reason: null }
+};
+
+// Delhivery StatusType:Status pairs, with bare StatusType as the coarse fallback
+const DELHIVERY_STATUS_CODES = {
+  "UD:Manifested":  { state: "PROCESSING", reason: "MANIFESTED" },
+  "UD:Not Picked":  { state: "PROCESSING", reason: "NOT_PICKED" },
+  "UD:In Transit":  { state: "IN_TRANSIT", reason: null },
+  "UD:Pending":     { state: "IN_TRANSIT", reason: "PENDING" },
+  "UD:Dispatched":  { state: "OUT_FOR_DELIVERY", reason: null },
+  "UD":             { state: "NDR", reason: null },
+  "PP:Open":        { state: "PROCESSING", reason: "PICKUP_PENDING" },
+  "PU:In Transit":  { state: "IN_TRANSIT", reason: "PICKED_UP" },
+  "DL:Delivered":   { state: "DELIVERED", reason: null },
+  "DL:RTO":         { state: "RTO_DELIVERED", reason: null },
+  "DL":             { state: "DELIVERED", reason: null },
+  "RT:In Transit":  { state: "RTO_IN_TRANSIT", reason: null },
+  "RT:Pending":     { state: "RTO_IN_TRANSIT", reason: "PENDING" },
+  "RT:Dispatched":  { state: "RTO_IN_TRANSIT", reason: "RTO_OUT_FOR_DELIVERY" },
+  "RT":             { state: "RTO_IN_TRANSIT", reason: null },
+  "CN:Canceled":    { state: "CANCELLED", reason: null },
+  "LT:Lost":        { state: "LOST", reason: null }
+};
+
+const reportedUnknownCodes = new Set();
+
+function reportUnknownStatusCode(courier, code, status) {
+  const key = `${courier}:${code}`;
+  if (reportedUnknownCodes.has(key)) return;
+  reportedUnknownCodes.add(key);
+  logEvent('WARN', 'STATUS_MAP', `Unknown ${courier} status code ${code}`, { courier, code, status });
+}
+
+// Legacy text heuristic, only used when a courier gives us no code we recognise
+function guessStateFromText(status = "", history = []) {
   let s = status.toUpperCase();
   if (history && history.length > 0) {
     const latest = history[history.length - 1];
     if (latest?.status) s += " " + latest.status.toUpperCase();
   }
-  if (s.includes("DELIVERED")) return "DELIVERED";
-  if (s.includes("RETURN") || s.includes("RTO")) return "RTO";
+  if (s.includes("RTO DELIVERED") || s.includes("RETURNED TO ORIGIN")) return "RTO_DELIVERED";
+  if (s.includes("RTO") || s.includes("RETURN")) return "RTO_IN_TRANSIT";
+  if (s.includes("DELIVERED") && !s.includes("UNDELIVERED")) return "DELIVERED";
+  if (s.includes("OUT FOR DELIVERY") || s.includes("OFD")) return "OUT_FOR_DELIVERY";
   if (s.includes("FAILED") || s.includes("UNDELIVERED") || s.includes("REFUSED") ||
-      s.includes("REJECTED") || s.includes("CANCEL")) return "NDR";
-  if (s.includes("OUT FOR") || s.includes("OFD") || s.includes("DISPATCHED") ||
-      s.includes("IN TRANSIT") || s.includes("ARRIVED") || s.includes("PICKED") ||
-      s.includes("CONNECTED") || s.includes("SHIPPED")) return "IN_TRANSIT";
+      s.includes("REJECTED")) return "NDR";
+  if (s.includes("DISPATCHED") || s.includes("IN TRANSIT") || s.includes("ARRIVED") ||
+      s.includes("PICKED") || s.includes("CONNECTED") || s.includes("SHIPPED")) return "IN_TRANSIT";
   return "PROCESSING";
 }
 
+// Resolves a tracker result to { state, reason }. `status_codes` is newest-first, each entry { code, detail }.
+// The first code that maps to a state wins; detail (the courier's own remark) becomes the reason when the table has none.
+function resolveShipmentState(result, courier = result?.actual_courier) {
+  if (!result) return { state: "PROCESSING", reason: null };
+  const table = getCourier(courier)?.statusCodes;
+  let pendingReason = null;
+
+  for (const { code, detail } of result.status_codes || []) {
+    if (code === undefined || code === null || code === "" || code === "NA") continue;
+    const hit = table?.[String(code)];
+    if (!hit) { reportUnknownStatusCode(courier, code, detail || result.status); continue; }
+    if (!hit.state) { pendingReason = pendingReason || hit.reason; continue; }
+    return { state: hit.state, reason: hit.reason || pendingReason || detail || null };
+  }
+  return { state: guessStateFromText(result.status, result.history), reason: pendingReason };
+}
+
+// Stamps the resolved state on a tracker result. delivered follows the state, not the courier's
+// text: the code tables resolve DELIVERED for statuses like Shiprocket's "Fulfilled" too.
+function applyShipmentState(result) {
+  const { state, reason } = resolveShipmentState(result);
+  result.state = state;
+  result.state_reason = reason;
+  result.delivered = state === 'DELIVERED';
+  return { state, reason };
+}
+
 function getNextCheckDelay(state) {
   switch (state) {
-    case "DELIVERED": return null;
-    case "RTO":       return 24 * 60 * 60 * 1000;
-    case "NDR":       return 2 * 60 * 60 * 1000;
-    case "IN_TRANSIT":return 45 * 60 * 1000;
-    default:          return 60 * 60 * 1000;
+    case "DELIVERED":        return null;
+    case "RTO_DELIVERED":    return 7 * 24 * 60 * 60 * 1000;
+    case "RTO_IN_TRANSIT":   return 24 * 60 * 60 * 1000;
+    case "LOST":
+    case "DAMAGED":          return 24 * 60 * 60 * 1000;
+    case "NDR":              return 2 * 60 * 60 * 1000;
+    case "OUT_FOR_DELIVERY": return 30 * 60 * 1000;
+    case "IN_TRANSIT":       return 45 * 60 * 1000;
+    default:                 return 60 * 60 * 1000;
   }
 }
 
-function formatConfidenceBand(dStr) {
-  if (!dStr) return null;
-  const s = new Date(dStr);
-  if (isNaN(s.getTime())) return null;
-  const e = new Date(s); e.setDate(e.getDate() + 1);
+// spreadDays widens the band when lane statistics show an unpredictable lane.
+// With a delivery context ({ state, courier }) both ends land on delivery days.
+function confidenceBandDates(dStr, spreadDays = 1, deliveryCtx = null) {
+  const parsed = parseEddDate(dStr);
+  if (!parsed) return null;
+  const s = deliveryCtx ? nextDeliveryDay(parsed, deliveryCtx) : parsed;
+  const e = deliveryCtx ? addDeliveryDays(s, Math.max(1, spreadDays), deliveryCtx) : new Date(s);
+  if (!deliveryCtx) e.setDate(e.getDate() + Math.max(1, spreadDays));
+  return { start: s, end: e };
+}
+
+function formatConfidenceBand(dStr, spreadDays = 1, deliveryCtx = null) {
+  const band = confidenceBandDates(dStr, spreadDays, deliveryCtx);
+  if (!band) return null;
   const f = d => d.toLocaleDateString('en-GB', { day: '2-digit', month: 'short' });
-  return `${f(s)} - ${f(e)}`;
+  return `${f(band.start)} - ${f(band.end)}`;
 }
 
 /* ===============================
@@ -308,77 +1070,109 @@ async function getShiprocketJwt() {
 }
 
 const IGNORE_SCANS = ["BAGGED", "MANIFEST", "NETWORK", "RELIEF", "PARTIAL"];
+const BLUEDART_AWB_PATTERN = /^[89]\d{10}$/;
+const DELHIVERY_AWB_PATTERN = /^\d{13,14}$/;
+
+const BLUEDART_BATCH_SIZE = 25;
+
+// custawbquery accepts comma-separated numbers; returns the parsed XML or null
+async function fetchBluedartShipments(numbers) {
+  trackApiUsage('bluedart_tracking');
+  const r = await axios.get("https://api.bluedart.com/servlet/RoutingServlet", {
+    httpsAgent,
+    params: {
+      handler: "tnt", action: "custawbquery", loginid: clean(LOGIN_ID),
+      awb: "awb", numbers, format: "xml",
+      lickey: clean(BD_LICENCE_KEY_TRACK), verno: 1, scan: 1
+    },
+    responseType: "text"
+  });
+
+  return parseBluedartXml(r.data, numbers);
+}
+
+async function parseBluedartXml(text, numbers) {
+  if (!text || text.trim().startsWith("<html")) return null;
+
+  try {
+    return await xml2js.parseStringPromise(text, { explicitArray: false });
+  } catch (parseErr) {
+    logEvent('WARN', 'TRACKING', 'BlueDart XML parse failed', { numbers, error: parseErr.message });
+    return null;
+  }
+}
+
+function bluedartWaybill(shipment) {
+  return String(shipment?.$?.WaybillNo || shipment?.WaybillNo || "").trim();
+}
+
+// Builds the tracker result for one forward shipment and its optional return leg
+function buildBluedartResult(fwd, ret) {
+  const isFwdDelivered = fwd.Status?.toUpperCase().includes("DELIVERED");
+  const isRetDelivered = ret ? ret.Status?.toUpperCase().includes("DELIVERED") : false;
+  const isFinallyDone = isFwdDelivered || isRetDelivered;
+
+  let finalStatus = fwd.Status;
+  if (ret) {
+    const retAwb = bluedartWaybill(ret) || 'UNKNOWN';
+    finalStatus = `RTO | RET AWB: ${retAwb} | STATUS: ${ret.Status}`;
+  }
+
+  const rawScans = Array.isArray(fwd.Scans?.ScanDetail) ? fwd.Scans.ScanDetail : [fwd.Scans?.ScanDetail];
+
+  // Newest first: return leg, then the latest forward scan (only if it refines the StatusType), then StatusType
+  const statusCodes = [];
+  if (ret) {
+    const retCode = ret.StatusType ? `RET_${ret.StatusType}` : isRetDelivered ? "RET_DL" : "RET";
+    statusCodes.push({ code: retCode, detail: ret.Status });
+  }
+  const latestScan = rawScans[0]?.Scan ? `SCAN:${rawScans[0].Scan.trim().toUpperCase()}` : null;
+  if (latestScan && BLUEDART_STATUS_CODES[latestScan]) statusCodes.push({ code: latestScan, detail: rawScans[0].Scan });
+  statusCodes.push({ code: fwd.StatusType, detail: fwd.Status });
+
+  let allScans = rawScans;
+  if (ret && Array.isArray(ret.Scans?.ScanDetail)) {
+    // 🟢 FRIEND'S FIX: Append return scans to the END so chronological order is maintained
+    allScans = [...allScans, ...ret.Scans.ScanDetail]; 
+  }
+
+  const scans = allScans.filter(x => {
+    if (!x?.Scan) return false;
+    if (isFinallyDone) return true;
+    return !IGNORE_SCANS.some(k => x.Scan.toUpperCase().includes(k));
+  });
+
+  return {
+    status: finalStatus,
+    status_codes: statusCodes,
+    delivered: isFinallyDone,
+    history: scans.map(x => ({
+      status: x.Scan,
+      date: `${(x.ScanDate || "").trim()} ${(x.ScanTime || "00:00").trim()}`,
+      location: x.ScannedLocation
+    })),
+    // 🟢 THE TERMINAL SCRUB (SUPABASE FREE TIER SAVER)
+    raw: isFinallyDone ? {} : { ShipmentData: { Shipment: ret ? [fwd, ret] : fwd } }
+  };
+}
 
 async function trackBluedart(awb, retry = false) {
-  if (!/^[89]\d{10}$/.test(awb)) return null;
+  if (!BLUEDART_AWB_PATTERN.test(awb)) return null;
   if (isCircuitOpen('bluedart')) {
     logEvent('WARN', 'CIRCUIT_BREAKER', `BlueDart circuit open, skipping ${awb}`);
     return null;
   }
 
   try {
-    trackApiUsage('bluedart_tracking');
-    const r = await axios.get("https://api.bluedart.com/servlet/RoutingServlet", {
-      httpsAgent,
-      params: {
-        handler: "tnt", action: "custawbquery", loginid: clean(LOGIN_ID),
-        awb: "awb", numbers: awb, format: "xml",
-        lickey: clean(BD_LICENCE_KEY_TRACK), verno: 1, scan: 1
-      },
-      responseType: "text"
-    });
-
-    if (!r.data || r.data.trim().startsWith("<html")) return null;
-
-    let p;
-    try {
-      p = await xml2js.parseStringPromise(r.data, { explicitArray: false });
-    } catch (parseErr) {
-      logEvent('WARN', 'TRACKING', 'BlueDart XML parse failed', { awb, error: parseErr.message });
-      return null;
-    }
-
+    const p = await fetchBluedartShipments(awb);
     const shipments = p?.ShipmentData?.Shipment;
     if (!shipments) return null;
 
     const fwd = Array.isArray(shipments) ? shipments[0] : shipments;
     const ret = Array.isArray(shipments) && shipments.length > 1 ? shipments[1] : null;
 
-    const isFwdDelivered = fwd.Status?.toUpperCase().includes("DELIVERED");
-    const isRetDelivered = ret ? ret.Status?.toUpperCase().includes("DELIVERED") : false;
-    const isFinallyDone = isFwdDelivered || isRetDelivered;
-
-    let finalStatus = fwd.Status;
-    if (ret) {
-      const retAwb = ret.$?.WaybillNo || ret.WaybillNo || 'UNKNOWN';
-      finalStatus = `RTO | RET AWB: ${retAwb} | STATUS: ${ret.Status}`;
-    }
-
-    const rawScans = Array.isArray(fwd.Scans?.ScanDetail) ? fwd.Scans.ScanDetail : [fwd.Scans?.ScanDetail];
-    let allScans = rawScans;
-    if (ret && Array.isArray(ret.Scans?.ScanDetail)) {
-      // 🟢 FRIEND'S FIX: Append return scans to the END so chronological order is maintained
-      allScans = [...allScans, ...ret.Scans.ScanDetail]; 
-    }
-
-    const scans = allScans.filter(x => {
-      if (!x?.Scan) return false;
-      if (isFinallyDone) return true;
-      return !IGNORE_SCANS.some(k => x.Scan.toUpperCase().includes(k));
-    });
-
     recordApiSuccess('bluedart');
-    return {
-      status: finalStatus,
-      delivered: isFinallyDone,
-      history: scans.map(x => ({
-        status: x.Scan,
-        date: `${(x.ScanDate || "").trim()} ${(x.ScanTime || "00:00").trim()}`,
-        location: x.ScannedLocation
-      })),
-      // 🟢 THE TERMINAL SCRUB (SUPABASE FREE TIER SAVER)
-      raw: isFinallyDone ? {} : p 
-    };
+    return buildBluedartResult(fwd, ret);
   } catch (e) {
     if (e.code && RETRYABLE_ERRORS.has(e.code) && !retry) {
       await new Promise(res => setTimeout(res, 2000));
@@ -390,6 +1184,55 @@ async function trackBluedart(awb, retry = false) {
   }
 }
 
+// Tracks up to BLUEDART_BATCH_SIZE AWBs in one call. Returns Map awb → result (null = not found).
+// Return legs carry their own WaybillNo and follow their forward shipment in the response, so any
+// Shipment whose waybill we did not ask for is paired with the forward shipment before it.
+// If the batch call itself fails, every AWB is tracked with a single call instead.
+async function trackBluedartBatch(awbs) {
+  const results = new Map();
+  const wanted = [...new Set(awbs.map(a => String(a).trim()))].filter(a => BLUEDART_AWB_PATTERN.test(a));
+  if (wanted.length === 0) return results;
+  if (isCircuitOpen('bluedart')) return results;
+
+  for (let i = 0; i < wanted.length; i += BLUEDART_BATCH_SIZE) {
+    const chunk = wanted.slice(i, i + BLUEDART_BATCH_SIZE);
+    let p = null;
+    try {
+      p = await withCourierLimits('bluedart', () => fetchBluedartShipments(chunk.join(",")));
+    } catch (e) {
+      recordApiFailure('bluedart', e);
+      logEvent('WARN', 'TRACKING', 'BlueDart batch failed, falling back to single calls', { count: chunk.length, error: e.message });
+    }
+
+    const raw = p?.ShipmentData?.Shipment;
+    if (!raw) {
+      for (const awb of chunk) results.set(awb, await withCourierLimits('bluedart', () => trackBluedart(awb)));
+      continue;
+    }
+    recordApiSuccess('bluedart');
+
+    const requested = new Set(chunk);
+    const groups = new Map();
+    let current = null;
+    for (const shp of Array.isArray(raw) ? raw : [raw]) {
+      const waybill = bluedartWaybill(shp);
+      if (requested.has(waybill) && !groups.has(waybill)) {
+        current = { fwd: shp, ret: null };
+        groups.set(waybill, current);
+      } else if (current && !current.ret) {
+        current.ret = shp;
+      }
+    }
+
+    for (const awb of chunk) {
+      const g = groups.get(awb);
+      // BlueDart answers unknown AWBs with a Shipment node that has no Status
+      results.set(awb, g?.fwd?.Status ? buildBluedartResult(g.fwd, g.ret) : null);
+    }
+  }
+  return results;
+}
+
 async function trackShiprocket(awb) {
   if (isCircuitOpen('shiprocket')) {
     logEvent('WARN', 'CIRCUIT_BREAKER', `Shiprocket circuit open, skipping ${awb}`);
@@ -407,39 +1250,112 @@ async function trackShiprocket(awb) {
       validateStatus: (s) => s < 600
     });
 
-    const d = r.data?.tracking_data;
-    if (!d) { logEvent('WARN', 'TRACKING', 'Shiprocket Empty Response', { awb }); return null; }
-
-    // 🟢 UPGRADE: Check the deep status first! This catches "RTO Delivered" hiding under a "Cancelled" top-level flag.
-    const deepStatus = d.shipment_track?.[0]?.current_status || "";
-    const topStatus = d.current_status || "";
-    
-    let finalStatus = topStatus;
-    
-    // If the deep status says RTO or Return, trust it over a "Cancelled" top status
-    if (deepStatus.toUpperCase().includes('RTO') || deepStatus.toUpperCase().includes('RETURN')) {
-        finalStatus = deepStatus;
-    } else if (r.data?.message?.includes("cancel") || topStatus.toLowerCase().includes("cancel")) {
-        finalStatus = "CANCELLED";
-    } else if (deepStatus) {
-        finalStatus = deepStatus;
-    }
+    if (!r.data?.tracking_data) { logEvent('WARN', 'TRACKING', 'Shiprocket Empty Response', { awb }); return null; }
 
     recordApiSuccess('shiprocket');
-    const isTerminal = finalStatus.toUpperCase().includes("DELIVERED") || finalStatus.toUpperCase().includes("RTO");
+    return buildShiprocketResult(r.data);
+  } catch (e) {
+    recordApiFailure('shiprocket', e);
+    logEvent('ERROR', 'TRACKING', 'Shiprocket Exception', { awb, error: e.message, code: e.code });
+    return null;
+  }
+}
+
+// Builds the tracker result from a /courier/track/awb response body
+function buildShiprocketResult(body) {
+  const d = body.tracking_data;
+  // 🟢 UPGRADE: Check the deep status first! This catches "RTO Delivered" hiding under a "Cancelled" top-level flag.
+  const deepStatus = d.shipment_track?.[0]?.current_status || "";
+  const topStatus = d.current_status || "";
+  
+  let finalStatus = topStatus;
+  
+  // If the deep status says RTO or Return, trust it over a "Cancelled" top status
+  if (deepStatus.toUpperCase().includes('RTO') || deepStatus.toUpperCase().includes('RETURN')) {
+    finalStatus = deepStatus;
+  } else if (body.message?.includes("cancel") || topStatus.toLowerCase().includes("cancel")) {
+    finalStatus = "CANCELLED";
+  } else if (deepStatus) {
+    finalStatus = deepStatus;
+  }
+
+  const isTerminal = finalStatus.toUpperCase().includes("DELIVERED") || finalStatus.toUpperCase().includes("RTO");
+
+  const activities = d.shipment_track_activities || [];
+  return {
+    status: finalStatus,
+    // Activities come newest first; the top-level shipment_status is the last resort
+    status_codes: [
+      ...activities.map(x => ({ code: x["sr-status"], detail: x.activity })),
+      { code: d.shipment_status, detail: topStatus }
+    ],
+    delivered: finalStatus.toUpperCase().includes("DELIVERED") && !finalStatus.toUpperCase().includes("RTO"),
+    history: activities.map(x => ({
+      status: x.activity, date: x.date, location: x.location
+    })),
+    // 🟢 THE TERMINAL SCRUB (SUPABASE FREE TIER SAVER)
+    raw: isTerminal ? { shipment_track: d.shipment_track || [] } : d 
+  };
+}
+
+// action: "re-attempt" | "return". Address/phone changes ride along with a re-attempt.
+async function shiprocketNdrAction(awb, { action, date, address1, address2, phone, comments }) {
+  const t = await getShiprocketJwt();
+  if (!t) throw new Error("Shiprocket auth unavailable");
+  trackApiUsage('shiprocket_ndr');
+  const body = { action: action === "rto" ? "return" : "re-attempt", comments: comments || `Ops NDR action: ${action}` };
+  if (date) body.deferred_date = date;
+  if (address1) body.address1 = address1;
+  if (address2) body.address2 = address2;
+  if (phone) body.phone = phone;
+
+  const r = await axios.post(`https://apiv2.shiprocket.in/v1/external/ndr/${awb}/action`, body, {
+    headers: { Authorization: `Bearer ${t}` }, httpsAgent
+  });
+  return r.data;
+}
+
+async function trackDelhivery(awb) {
+  if (!DELHIVERY_API_TOKEN) return null;
+  if (isCircuitOpen('delhivery')) {
+    logEvent('WARN', 'CIRCUIT_BREAKER', `Delhivery circuit open, skipping ${awb}`);
+    return null;
+  }
+
+  try {
+    trackApiUsage('delhivery_tracking');
+    const r = await axios.get("https://track.delhivery.com/api/v1/packages/json/", {
+      headers: { Authorization: `Token ${clean(DELHIVERY_API_TOKEN)}` },
+      params: { waybill: awb },
+      httpsAgent
+    });
+
+    const shp = r.data?.ShipmentData?.[0]?.Shipment;
+    if (!shp?.Status) { logEvent('WARN', 'TRACKING', 'Delhivery Empty Response', { awb }); return null; }
 
+    // Delhivery keeps the RTO leg on the same waybill and flags it with StatusType "RT"
+    const { Status: topStatus = "", StatusType: statusType = "", Instructions: remark } = shp.Status;
+    const isRto = statusType === "RT" || (statusType === "DL" && topStatus.toUpperCase().includes("RTO"));
+    const finalStatus = isRto && !topStatus.toUpperCase().includes("RTO") ? `RTO | ${topStatus}` : topStatus;
+    const isDelivered = statusType === "DL" && !isRto;
+
+    recordApiSuccess('delhivery');
     return {
       status: finalStatus,
-      delivered: finalStatus.toUpperCase().includes("DELIVERED") && !finalStatus.toUpperCase().includes("RTO"),
-      history: (d.shipment_track_activities || []).map(x => ({
-        status: x.activity, date: x.date, location: x.location
+      status_codes: [
+        { code: `${statusType}:${topStatus}`, detail: remark },
+        { code: statusType, detail: remark }
+      ],
+      delivered: isDelivered,
+      history: (shp.Scans || []).map(x => x.ScanDetail).filter(x => x?.Scan).map(x => ({
+        status: x.Instructions || x.Scan, date: x.ScanDateTime, location: x.ScannedLocation
       })),
       // 🟢 THE TERMINAL SCRUB (SUPABASE FREE TIER SAVER)
-      raw: isTerminal ? { shipment_track: d.shipment_track || [] } : d 
+      raw: statusType === "DL" ? {} : shp
     };
   } catch (e) {
-    recordApiFailure('shiprocket', e);
-    logEvent('ERROR', 'TRACKING', 'Shiprocket Exception', { awb, error: e.message, code: e.code });
+    recordApiFailure('delhivery', e);
+    logEvent('ERROR', 'TRACKING', 'Delhivery Exception', { awb, error: e.message, code: e.code });
     return null;
   }
 }
@@ -447,76 +1363,448 @@ async function trackShiprocket(awb) {
 /* ===============================
    🏙️ CITY LOOKUP
 ================================ */
-async function getCity(p) {
-  try {
-    const r = await axios.get(`https://api.postalpincode.in/pincode/${p}`, { timeout: 5000 });
-    return r.data?.[0]?.PostOffice?.[0]?.District || null;
-  } catch { return null; }
+// Shopify's province codes for India, so pincode lookups and shipping addresses share one key
+const INDIAN_STATE_CODES = {
+  "ANDAMAN AND NICOBAR ISLANDS": "AN", "ANDHRA PRADESH": "AP", "ARUNACHAL PRADESH": "AR", "ASSAM": "AS",
+  "BIHAR": "BR", "CHANDIGARH": "CH", "CHHATTISGARH": "CT", "DADRA AND NAGAR HAVELI AND DAMAN AND DIU": "DN",
+  "DELHI": "DL", "GOA": "GA", "GUJARAT": "GJ", "HARYANA": "HR", "HIMACHAL PRADESH": "HP",
+  "JAMMU AND KASHMIR": "JK", "JHARKHAND": "JH", "KARNATAKA": "KA", "KERALA": "KL", "LADAKH": "LA",
+  "LAKSHADWEEP": "LD", "MADHYA PRADESH": "MP", "MAHARASHTRA": "MH", "MANIPUR": "MN", "MEGHALAYA": "ML",
+  "MIZORAM": "MZ", "NAGALAND": "NL", "ODISHA": "OR", "PUDUCHERRY": "PY", "PUNJAB": "PB", "RAJASTHAN": "RJ",
+  "SIKKIM": "SK", "TAMIL NADU": "TN", "TELANGANA": "TS", "TRIPURA": "TR", "UTTAR PRADESH": "UP",
+  "UTTARAKHAND": "UK", "WEST BENGAL": "WB"
+};
+
+function stateCodeFromName(name) {
+  if (!name) return null;
+  return INDIAN_STATE_CODES[name.toUpperCase().replace(/&/g, "AND").replace(/\s+/g, " ").trim()] || null;
 }
 
 /* ===============================
-   🚚 EDD ENGINE
+   📮 PINCODE MASTER
 ================================ */
-async function predictBluedartEDD(p) {
-  try {
-    const j = await getBluedartJwt();
-    if (!j) return null;
-    await new Promise(res => setTimeout(res, Math.random() * 400 + 100));
+// One row per PIN from the India Post directory (post offices aggregated). Lookups stay local;
+// api.postalpincode.in is only asked about PINs we don't have, and PINCODE_LIVE_FALLBACK=false
+// switches that off for offline runs.
+const METRO_DISTRICTS = ["MUMBAI", "DELHI", "BENGALURU", "BANGALORE", "PUNE", "HYDERABAD", "CHENNAI", "KOLKATA"];
+const TIER1_DISTRICTS = [
+  "AHMEDABAD", "SURAT", "VADODARA", "JAIPUR", "LUCKNOW", "KANPUR", "NAGPUR", "INDORE", "BHOPAL", "PATNA",
+  "LUDHIANA", "AGRA", "NASHIK", "THANE", "COIMBATORE", "ERNAKULAM", "VISAKHAPATNAM", "CHANDIGARH",
+  "GURGAON", "GURUGRAM", "GAUTAM BUDDHA NAGAR", "GHAZIABAD", "FARIDABAD", "MYSURU", "MYSORE", "MADURAI"
+];
+const UNKNOWN_PINCODE = { city: null, state: null, tier: null, serviceable: null, source: null };
+
+function classifyTier(district) {
+  const d = String(district || "").toUpperCase();
+  if (METRO_DISTRICTS.some(m => d.includes(m))) return "metro";
+  if (TIER1_DISTRICTS.some(m => d.includes(m))) return "tier_1";
+  return "other";
+}
 
-    const r = await axios.post(
-      "https://apigateway.bluedart.com/in/transportation/transit/v1/GetDomesticTransitTimeForPinCodeandProduct",
-      {
-        pPinCodeFrom: "411022",
-        pPinCodeTo: p,
-        pProductCode: "A",
-        pSubProductCode: "P",
-        pPudate: getNextWorkingDate(),
-        pPickupTime: "14:00",
-        profile: { Api_type: "S", LicenceKey: clean(BD_LICENCE_KEY_EDD), LoginID: clean(LOGIN_ID) }
-      },
-      { headers: { JWTToken: j }, httpsAgent }
-    );
-    return r.data?.GetDomesticTransitTimeForPinCodeandProductResult?.ExpectedDateDelivery || null;
+async function getPincodeInfo(p) {
+  try {
+    const row = await eddLookups.pincodeRow(p);
+    if (row) {
+      return { city: row.district, state: row.state_code, tier: row.tier, serviceable: row.serviceable, source: "master" };
+    }
   } catch (e) {
-    const errDetail = e.response?.data ? JSON.stringify(e.response.data) : e.message;
-    logEvent('ERROR', 'EDD', 'BlueDart EDD Failed', { error: errDetail });
-    return null;
+    logEvent('WARN', 'PINCODE', 'Pincode master lookup failed', { pincode: p, error: e.message });
   }
-}
+  if (PINCODE_LIVE_FALLBACK === "false") return UNKNOWN_PINCODE;
 
-async function predictShiprocketEDD(p) {
+  try {
+    const po = (await eddLookups.livePincode(p))?.[0]?.PostOffice?.[0];
+    if (!po) return UNKNOWN_PINCODE;
+    const info = { city: po.District || null, state: stateCodeFromName(po.State), tier: classifyTier(po.District), serviceable: true, source: "live" };
+    // Remember it so the next lookup stays local
+    pool.query(`
+      INSERT INTO pincodes (pincode, district, state, state_code, region, circle, tier, source)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, 'live') ON CONFLICT (pincode) DO NOTHING
+    `, [p, po.District, po.State, info.state, po.Region, po.Circle, info.tier]).catch(() => {});
+    return info;
+  } catch { return UNKNOWN_PINCODE; }
+}
+
+async function upsertPincodes(list) {
+  await pool.query(`
+    INSERT INTO pincodes (pincode, district, state, state_code, region, circle, tier, serviceable, source, updated_at)
+    SELECT *, 'india_post', NOW() FROM unnest($1::text[], $2::text[], $3::text[], $4::text[], $5::text[], $6::text[], $7::text[], $8::boolean[])
+    ON CONFLICT (pincode) DO UPDATE SET
+      district = EXCLUDED.district, state = EXCLUDED.state, state_code = EXCLUDED.state_code,
+      region = EXCLUDED.region, circle = EXCLUDED.circle, source = EXCLUDED.source, updated_at = NOW(),
+      tier = CASE WHEN pincodes.manual THEN pincodes.tier ELSE EXCLUDED.tier END,
+      serviceable = CASE WHEN pincodes.manual THEN pincodes.serviceable ELSE EXCLUDED.serviceable END
+  `, [
+    list.map(r => r.pincode), list.map(r => r.district), list.map(r => r.state), list.map(r => r.state_code),
+    list.map(r => r.region), list.map(r => r.circle), list.map(r => r.tier), list.map(r => r.serviceable)
+  ]);
+}
+
+// Server-side imports only read files under PINCODE_IMPORT_DIR (unset = disabled).
+// Returns the real path, or null when the file is missing or resolves outside the directory.
+function resolvePincodeImportFile(name) {
+  const dir = clean(PINCODE_IMPORT_DIR);
+  if (!dir || !name) return null;
+  try {
+    const base = fs.realpathSync(dir);
+    const full = fs.realpathSync(nodePath.resolve(base, String(name)));
+    return full.startsWith(base + nodePath.sep) && fs.statSync(full).isFile() ? full : null;
+  } catch { return null; }
+}
+
+// Streams the India Post "All India Pincode Directory" CSV from a URL or a file on this server.
+// Both the current (circlename,regionname,...,delivery,district,statename) and the older
+// (officename,pincode,...,Deliverystatus,Districtname,statename) layouts are understood.
+// A PIN is serviceable when at least one of its post offices delivers.
+async function importPincodeDirectory({ url, path }, ctx) {
+  const file = url ? null : resolvePincodeImportFile(path);
+  if (!url && !file) throw new Error("Import file is not inside PINCODE_IMPORT_DIR");
+  const input = url
+    ? (await axios.get(url, { responseType: "stream", timeout: 120000 })).data
+    : fs.createReadStream(file);
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+
+  const byPin = new Map();
+  let keys = null;
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    if (!keys) { keys = parseCsvLine(line.replace(/^\uFEFF/, "")).map(csvKey); continue; }
+    const values = parseCsvLine(line);
+    const r = Object.fromEntries(keys.map((k, i) => [k, (values[i] ?? "").trim()]));
+    const pin = String(r.pincode || "").replace(/\D/g, "");
+    if (!/^\d{6}$/.test(pin)) continue;
+
+    const delivers = /^delivery$/i.test(r.delivery || r.deliverystatus || "");
+    const existing = byPin.get(pin);
+    if (existing) { existing.serviceable ||= delivers; continue; }
+    const district = r.district || r.districtname || null;
+    byPin.set(pin, {
+      pincode: pin, district, state: r.statename || r.state || null, state_code: stateCodeFromName(r.statename || r.state),
+      region: r.regionname || null, circle: r.circlename || null, tier: classifyTier(district), serviceable: delivers
+    });
+  }
+
+  const list = [...byPin.values()];
+  for (let i = 0; i < list.length; i += 1000) {
+    await upsertPincodes(list.slice(i, i + 1000));
+    if (!(await ctx.progress(Math.min(i + 1000, list.length), list.length))) return;
+  }
+  eddCache.clear();
+  logEvent('INFO', 'PINCODE', `Imported ${list.length} pincodes from the India Post directory`, { source: url || path });
+}
+
+app.post("/admin/pincodes/import", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:sync"))) return res.status(403).json({ error: "Unauthorized" });
+  const { url, path } = req.body || {};
+  if (url && !/^https?:\/\//i.test(url)) return res.status(400).json({ error: "url must be http(s)" });
+  if (!url && !path) return res.status(400).json({ error: "url or path required" });
+  if (path && !url && !resolvePincodeImportFile(path)) {
+    return res.status(400).json({ error: "path must name a file inside PINCODE_IMPORT_DIR" });
+  }
+  try {
+    const { job, created } = await enqueueJob("import_pincodes", { url: url || null, path: path || null }, "import_pincodes");
+    res.status(created ? 200 : 409).json({ job_id: job?.id, status_url: `/ops/jobs/${job?.id}`, already_running: !created });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get("/admin/pincodes", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  const { q, state, tier, serviceable } = req.query;
+  try {
+    const { rows } = await pool.query(`
+      SELECT * FROM pincodes
+      WHERE ($1::text IS NULL OR pincode LIKE $1 || '%' OR district ILIKE '%' || $1 || '%')
+        AND ($2::text IS NULL OR state_code = $2) AND ($3::text IS NULL OR tier = $3)
+        AND ($4::boolean IS NULL OR serviceable = $4)
+      ORDER BY pincode LIMIT 200
+    `, [q || null, state?.toUpperCase() || null, tier || null, serviceable === undefined ? null : serviceable === "true"]);
+    const { rows: [stats] } = await pool.query(`SELECT COUNT(*)::int AS total, COUNT(*) FILTER (WHERE source = 'live')::int AS from_live FROM pincodes`);
+    res.json({ pincodes: rows, stats });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Hand edits (tier, serviceable) are marked manual so the next directory import keeps them
+app.post("/admin/pincodes/:pincode", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  const { pincode } = req.params;
+  const { tier, serviceable } = req.body || {};
+  if (!/^\d{6}$/.test(pincode)) return res.status(400).json({ error: "Invalid pincode" });
+  if (tier !== undefined && !["metro", "tier_1", "other"].includes(tier)) return res.status(400).json({ error: "tier must be metro, tier_1 or other" });
+  try {
+    const { rows } = await pool.query(`
+      INSERT INTO pincodes (pincode, tier, serviceable, manual, source) VALUES ($1, $2, COALESCE($3, TRUE), TRUE, 'manual')
+      ON CONFLICT (pincode) DO UPDATE SET tier = COALESCE($2, pincodes.tier), serviceable = COALESCE($3, pincodes.serviceable),
+        manual = TRUE, updated_at = NOW()
+      RETURNING *
+    `, [pincode, tier ?? null, typeof serviceable === "boolean" ? serviceable : null]);
+    for (const key of eddCache.keys()) if (key.endsWith(`:${pincode}`)) eddCache.delete(key);
+    res.json({ pincode: rows[0] });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Checkout address check: the PIN exists, delivers, and agrees with the typed city / state
+app.post("/address/validate", async (req, res) => {
+  const ip = req.headers["x-forwarded-for"]?.split(",")[0] || req.socket.remoteAddress;
+  if (!checkRateLimit(ip)) return res.status(429).json({ error: "Too many requests" });
+
+  const { pincode, city, state } = req.body || {};
+  const pin = String(pincode || "").trim();
+  if (!/^\d{6}$/.test(pin)) return res.json({ valid: false, issues: ["PINCODE_FORMAT"] });
+
+  const info = await getPincodeInfo(pin);
+  if (!info.source) return res.json({ valid: false, pincode: pin, issues: ["PINCODE_NOT_FOUND"] });
+
+  const issues = [];
+  if (info.serviceable === false) issues.push("PINCODE_NOT_SERVICEABLE");
+  const typedState = state ? (String(state).length === 2 ? String(state).toUpperCase() : stateCodeFromName(state)) : null;
+  if (typedState && info.state && typedState !== info.state) issues.push("STATE_MISMATCH");
+  const norm = v => String(v || "").toUpperCase().replace(/[^A-Z]/g, "");
+  if (city && info.city && !norm(info.city).includes(norm(city)) && !norm(city).includes(norm(info.city))) {
+    issues.push("CITY_MISMATCH");
+  }
+
+  res.json({
+    valid: !issues.includes("PINCODE_NOT_SERVICEABLE") && !issues.includes("STATE_MISMATCH"),
+    pincode: pin,
+    issues,
+    suggested: { city: info.city, state_code: info.state },
+    tier: info.tier
+  });
+});
+
+/* ===============================
+   🚚 EDD ENGINE
+================================ */
+async function predictBluedartEDD(p, origin = DEFAULT_WAREHOUSE) {
+  try {
+    const j = await getBluedartJwt();
+    if (!j) return null;
+    await new Promise(res => setTimeout(res, Math.random() * 400 + 100));
+
+    const r = await axios.post(
+      "https://apigateway.bluedart.com/in/transportation/transit/v1/GetDomesticTransitTimeForPinCodeandProduct",
+      {
+        pPinCodeFrom: origin.pincode,
+        pPinCodeTo: p,
+        pProductCode: "A",
+        pSubProductCode: "P",
+        pPudate: getNextWorkingDate(origin, "bluedart"),
+        pPickupTime: origin.pickup_cutoff || "14:00",
+        profile: { Api_type: "S", LicenceKey: clean(BD_LICENCE_KEY_EDD), LoginID: clean(LOGIN_ID) }
+      },
+      { headers: { JWTToken: j }, httpsAgent }
+    );
+    return r.data?.GetDomesticTransitTimeForPinCodeandProductResult?.ExpectedDateDelivery || null;
+  } catch (e) {
+    const errDetail = e.response?.data ? JSON.stringify(e.response.data) : e.message;
+    logEvent('ERROR', 'EDD', 'BlueDart EDD Failed', { error: errDetail });
+    return null;
+  }
+}
+
+// Every courier Shiprocket can route this lane through, with rate and ETA. null = lookup failed,
+// [] = not serviceable. weight is in kg.
+async function shiprocketServiceability(p, origin = DEFAULT_WAREHOUSE, { weight = 0.5, cod = true } = {}) {
   try {
     const t = await getShiprocketJwt();
     if (!t) return null;
-    const r = await axios.get(
-      `https://apiv2.shiprocket.in/v1/external/courier/serviceability/?pickup_postcode=411022&delivery_postcode=${p}&cod=1&weight=0.5`,
-      { headers: { Authorization: `Bearer ${t}` }, httpsAgent }
-    );
-    return r.data?.data?.available_courier_companies?.[0]?.etd || null;
-  } catch { return null; }
+    const r = await axios.get("https://apiv2.shiprocket.in/v1/external/courier/serviceability/", {
+      params: { pickup_postcode: origin.pincode, delivery_postcode: p, cod: cod ? 1 : 0, weight },
+      headers: { Authorization: `Bearer ${t}` },
+      httpsAgent,
+      validateStatus: (s) => s < 500
+    });
+    if (r.status === 404) return [];
+    if (r.status >= 400) return null;
+    return (r.data?.data?.available_courier_companies || []).map(c => ({
+      courier: c.courier_name,
+      courier_id: c.courier_company_id,
+      rate: Number(c.rate ?? c.freight_charge) || null,
+      cod_charges: Number(c.cod_charges) || 0,
+      etd: c.etd || null,
+      etd_days: parseInt(c.estimated_delivery_days) || null,
+      cod: c.cod === 1 || c.cod === true,
+      surface: !!c.is_surface
+    }));
+  } catch (e) {
+    logEvent('WARN', 'SERVICEABILITY', 'Shiprocket serviceability failed', { pincode: p, error: e.message });
+    return null;
+  }
+}
+
+async function predictShiprocketEDD(p, origin = DEFAULT_WAREHOUSE) {
+  const options = await shiprocketServiceability(p, origin);
+  return options?.[0]?.etd || null;
+}
+
+// Delhivery only quotes a TAT in days, counted here from the warehouse's next Delhivery pickup
+async function predictDelhiveryEDD(p, origin = DEFAULT_WAREHOUSE) {
+  if (!DELHIVERY_API_TOKEN) return null;
+  try {
+    const r = await axios.get("https://track.delhivery.com/api/dc/expected_tat", {
+      headers: { Authorization: `Token ${clean(DELHIVERY_API_TOKEN)}` },
+      params: { origin_pin: origin.pincode, destination_pin: p, mot: "S" },
+      httpsAgent
+    });
+    const tat = parseInt(r.data?.data?.tat);
+    if (!tat) return null;
+    const pickup = nextPickupDate(origin, nowIST(), "delhivery");
+    return `/Date(${addDeliveryDays(pickup, tat, { courier: "delhivery" }).getTime()})/`;
+  } catch (e) {
+    logEvent('ERROR', 'EDD', 'Delhivery EDD Failed', { error: e.message });
+    return null;
+  }
+}
+
+/* ===============================
+   🧩 COURIER ADAPTER REGISTRY
+================================ */
+// Every courier we talk to directly (or through an aggregator) is described by one adapter:
+//   name            → key used in shipments_ops.courier_source, circuit breakers and logs
+//   label           → display name returned by /edd
+//   awbPattern      → AWBs this courier can issue (null = aggregator, accepts anything)
+//   companyPattern  → matches Shopify's fulfillment tracking_company
+//   isConfigured()  → false when credentials are missing, the adapter is then skipped
+//   getJwt()        → auth (optional, couriers with static tokens skip it)
+//   track(awb)      → { status, status_codes, delivered, history, raw } or null
+//   statusCodes     → courier code → { state, reason } table used by resolveShipmentState
+//   ndrAction(awb, params) → pushes an NDR instruction to the courier (optional; without it actions are recorded as manual)
+//   predictEDD(pin, warehouse) → raw date string or null (optional)
+//   serviceability(pin, warehouse, { weight, cod }) → [{ courier, rate, etd, etd_days, cod }] or null (optional)
+//   fallbackRank    → order in which smartTrack tries adapters after the intended one
+//   eddRank         → order in which /edd asks adapters for a prediction
+//   concurrency     → max tracking calls in flight per instance (COURIER_LIMITS env overrides)
+//   ratePerMinute   → token-bucket refill rate for tracking calls (COURIER_LIMITS env overrides)
+const courierAdapters = new Map();
+
+function registerCourier(adapter) {
+  courierAdapters.set(adapter.name, adapter);
+  if (!circuitBreakers[adapter.name]) circuitBreakers[adapter.name] = { failures: 0, openUntil: 0 };
 }
 
+function getCourier(name) {
+  return courierAdapters.get(String(name || "").toLowerCase()) || null;
+}
+
+function canTrackAwb(adapter, awb) {
+  return adapter.isConfigured() && (!adapter.awbPattern || adapter.awbPattern.test(awb));
+}
+
+// Falls back to Shiprocket (our aggregator) when the tracking company is unknown
+function courierFromTrackingCompany(company) {
+  const c = String(company || "");
+  for (const adapter of courierAdapters.values()) {
+    if (adapter.companyPattern?.test(c)) return adapter.name;
+  }
+  return "shiprocket";
+}
+
+registerCourier({
+  name: "bluedart",
+  label: "BlueDart",
+  awbPattern: BLUEDART_AWB_PATTERN,
+  companyPattern: /blue/i,
+  isConfigured: () => !!(LOGIN_ID && BD_LICENCE_KEY_TRACK),
+  getJwt: getBluedartJwt,
+  track: trackBluedart,
+  statusCodes: BLUEDART_STATUS_CODES,
+  predictEDD: predictBluedartEDD,
+  fallbackRank: 2,
+  eddRank: 1,
+  concurrency: 3,
+  ratePerMinute: 120
+});
+
+registerCourier({
+  name: "shiprocket",
+  label: "Shiprocket",
+  awbPattern: null,
+  companyPattern: /shiprocket/i,
+  isConfigured: () => !!(SHIPROCKET_EMAIL && SHIPROCKET_PASSWORD),
+  getJwt: getShiprocketJwt,
+  track: trackShiprocket,
+  statusCodes: SHIPROCKET_STATUS_CODES,
+  ndrAction: shiprocketNdrAction,
+  predictEDD: predictShiprocketEDD,
+  serviceability: shiprocketServiceability,
+  fallbackRank: 1,
+  eddRank: 2,
+  concurrency: 2,
+  ratePerMinute: 60
+});
+
+registerCourier({
+  name: "delhivery",
+  label: "Delhivery",
+  awbPattern: DELHIVERY_AWB_PATTERN,
+  companyPattern: /delhivery/i,
+  isConfigured: () => !!DELHIVERY_API_TOKEN,
+  track: trackDelhivery,
+  statusCodes: DELHIVERY_STATUS_CODES,
+  predictEDD: predictDelhiveryEDD,
+  fallbackRank: 3,
+  eddRank: 3,
+  concurrency: 3,
+  ratePerMinute: 120
+});
+
 /* ===============================
    🔄 ORDER SYNC
 ================================ */
+// The band /edd showed at checkout, carried on the order as note attributes. Accepts
+// edd_from + edd_to (YYYY-MM-DD), or a single edd / expected_delivery holding one date or
+// the display band ("21 Oct - 23 Oct", year taken from the order date).
+function promisedBandFromAttributes(o) {
+  const attrs = Object.fromEntries((o.note_attributes || [])
+    .filter(a => a?.name && a.value)
+    .map(a => [csvKey(String(a.name)).replace(/^_+/, ""), String(a.value).trim()]));
+
+  const orderDate = new Date(o.created_at || Date.now());
+  const toKey = v => {
+    if (/^\d{1,2} [A-Za-z]{3}$/.test(v)) {
+      let d = new Date(`${v} ${orderDate.getFullYear()}`);
+      if (d < orderDate - 60 * 86400000) d = new Date(`${v} ${orderDate.getFullYear() + 1}`);
+      return isNaN(d) ? null : dateKey(d);
+    }
+    return eddDateKey(v);
+  };
+
+  let from = attrs.edd_from ? toKey(attrs.edd_from) : null;
+  let to = attrs.edd_to ? toKey(attrs.edd_to) : null;
+  const single = attrs.edd || attrs.expected_delivery;
+  if (!from && !to && single) {
+    const parts = single.split(/\s+-\s+|\s+to\s+/i);
+    from = toKey(parts[0]);
+    to = parts[1] ? toKey(parts[1]) : from;
+  }
+  if (!from && !to) return null;
+  from = from || to;
+  to = to || from;
+  return from <= to ? { from, to } : { from: to, to: from };
+}
+
 async function syncOrder(o) {
   const phone = o.phone || o.customer?.phone || o.shipping_address?.phone || null;
   const actualFinancialStatus = o.cancelled_at ? 'cancelled' : o.financial_status;
+  const promise = promisedBandFromAttributes(o);
 
   try {
     await pool.query(`
       INSERT INTO orders_ops (
         id, order_number, financial_status, fulfillment_status, total_price,
         payment_gateway_names, customer_name, customer_email, customer_phone,
-        city, shipping_address, line_items, is_exchange, is_return, source, created_at, updated_at
+        city, shipping_address, line_items, is_exchange, is_return, source, created_at, updated_at,
+        promised_edd_from, promised_edd_to
       )
-      VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7, $8, $9, $10, $11::jsonb, $12::jsonb, $13, $14, $15, $16, NOW())
+      VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7, $8, $9, $10, $11::jsonb, $12::jsonb, $13, $14, $15, $16, NOW(), $17, $18)
       ON CONFLICT (id) DO UPDATE SET
         financial_status    = EXCLUDED.financial_status,
         fulfillment_status  = EXCLUDED.fulfillment_status,
         customer_phone      = EXCLUDED.customer_phone,
         shipping_address    = EXCLUDED.shipping_address,
         city                = EXCLUDED.city,
+        promised_edd_from   = COALESCE(EXCLUDED.promised_edd_from, orders_ops.promised_edd_from),
+        promised_edd_to     = COALESCE(EXCLUDED.promised_edd_to, orders_ops.promised_edd_to),
         updated_at          = NOW()
     `, [
       String(o.id), o.name, actualFinancialStatus, o.fulfillment_status, o.total_price,
@@ -528,51 +1816,110 @@ async function syncOrder(o) {
       JSON.stringify(o.line_items || []),
       o.name?.startsWith("EX-") || false,
       o.name?.includes("-R") || false,
-      "shopify", o.created_at
+      "shopify", o.created_at,
+      promise?.from || null, promise?.to || null
     ]);
 
     if (o.fulfillments) {
       for (const f of o.fulfillments) {
         if (!f.tracking_number) continue;
-        const courier = f.tracking_company?.toLowerCase().includes("blue") ? "bluedart" : "shiprocket";
+        const courier = courierFromTrackingCompany(f.tracking_company);
         await pool.query(`
-          INSERT INTO shipments_ops (awb, order_id, courier_source, next_check_at)
-          VALUES ($1, $2, $3, NOW() + (random() * interval '5 minutes'))
-          ON CONFLICT (awb) DO NOTHING
-        `, [f.tracking_number, String(o.id), courier]);
+          INSERT INTO shipments_ops (awb, order_id, courier_source, fulfillment_id, origin_location_id, next_check_at)
+          VALUES ($1, $2, $3, $4, $5, NOW() + (random() * interval '5 minutes'))
+          ON CONFLICT (awb) DO UPDATE SET fulfillment_id = EXCLUDED.fulfillment_id, origin_location_id = EXCLUDED.origin_location_id
+            WHERE shipments_ops.fulfillment_id IS NULL
+        `, [f.tracking_number, String(o.id), courier, f.id ? String(f.id) : null, f.location_id ? String(f.location_id) : null]);
       }
     }
+    if (promise) await applyOrderPromise(String(o.id));
   } catch (e) {
     logEvent('ERROR', 'SYNC', `Order Sync Failed: ${o.name}`, { error: e.message });
   }
 }
 
+/* ===============================
+   🚦 PER-COURIER LIMITS
+================================ */
+// COURIER_LIMITS='{"bluedart":{"concurrency":4,"rpm":200}}' overrides the adapter defaults
+let courierLimitOverrides = {};
+try {
+  const parsed = JSON.parse(COURIER_LIMITS || "{}");
+  // "null", "[]" or "5" parse fine but aren't a courier → limits map
+  if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) courierLimitOverrides = parsed;
+  else console.error("COURIER_LIMITS must be a JSON object, ignoring");
+} catch { console.error("COURIER_LIMITS is not valid JSON, ignoring"); }
+
+const courierLimiters = new Map();
+
+function getCourierLimiter(name) {
+  if (!courierLimiters.has(name)) {
+    const adapter = getCourier(name);
+    const override = courierLimitOverrides[name] || {};
+    const rpm = override.rpm || adapter?.ratePerMinute || 60;
+    courierLimiters.set(name, {
+      concurrency: override.concurrency || adapter?.concurrency || 2,
+      rpm,
+      active: 0,
+      waiters: [],
+      // Token bucket: bursts of up to 10s worth of calls, refilled continuously
+      capacity: Math.max(1, Math.ceil(rpm / 6)),
+      tokens: Math.max(1, Math.ceil(rpm / 6)),
+      refilledAt: Date.now()
+    });
+  }
+  return courierLimiters.get(name);
+}
+
+async function takeCourierToken(limiter) {
+  for (;;) {
+    const now = Date.now();
+    limiter.tokens = Math.min(limiter.capacity, limiter.tokens + (now - limiter.refilledAt) * limiter.rpm / 60000);
+    limiter.refilledAt = now;
+    if (limiter.tokens >= 1) { limiter.tokens -= 1; return; }
+    await new Promise(res => setTimeout(res, Math.ceil((1 - limiter.tokens) * 60000 / limiter.rpm)));
+  }
+}
+
+// Runs fn inside the courier's concurrency slot and rate limit
+async function withCourierLimits(name, fn) {
+  const limiter = getCourierLimiter(name);
+  if (limiter.active >= limiter.concurrency) {
+    await new Promise(res => limiter.waiters.push(res)); // slot is handed over by the releasing call
+  } else {
+    limiter.active++;
+  }
+  try {
+    await takeCourierToken(limiter);
+    return await fn();
+  } finally {
+    const next = limiter.waiters.shift();
+    if (next) next(); else limiter.active--;
+  }
+}
+
 /* ===============================
    🧠 SMART ROUTING ENGINE (NEW)
 ================================ */
-async function smartTrack(awb, intendedCourier) {
+// skip: adapter names already asked (e.g. by a batch call) that should not be called again
+async function smartTrack(awb, intendedCourier, { skip = [] } = {}) {
   let result = null;
   let actualCourier = intendedCourier; // Assume the original is correct until proven otherwise
   const cleanAwb = String(awb || "").trim();
-  const isBdFormat = /^[89]\d{10}$/.test(cleanAwb);
 
-  if (intendedCourier === "bluedart") {
-    if (isBdFormat) result = await trackBluedart(cleanAwb);
-    
-    // Fallback to Shiprocket
-    if (!result) {
-      console.log(`🔄 Routing Fallback: Checking Shiprocket for ${cleanAwb}`);
-      result = await trackShiprocket(cleanAwb);
-      if (result) actualCourier = "shiprocket"; // 🟢 Found it! Switch the label.
-    }
-  } else {
-    result = await trackShiprocket(cleanAwb);
-    
-    // Fallback to BlueDart
-    if (!result && isBdFormat) {
-      console.log(`🔄 Routing Fallback: Checking BlueDart for ${cleanAwb}`);
-      result = await trackBluedart(cleanAwb);
-      if (result) actualCourier = "bluedart"; // 🟢 Found it! Switch the label.
+  // Intended courier first, then every other adapter that could have issued this AWB
+  const intended = getCourier(intendedCourier) || getCourier("shiprocket");
+  const fallbacks = [...courierAdapters.values()]
+    .filter(a => a !== intended)
+    .sort((a, b) => a.fallbackRank - b.fallbackRank);
+
+  for (const adapter of [intended, ...fallbacks]) {
+    if (skip.includes(adapter.name) || !canTrackAwb(adapter, cleanAwb)) continue;
+    if (adapter !== intended) console.log(`🔄 Routing Fallback: Checking ${adapter.label} for ${cleanAwb}`);
+    result = await withCourierLimits(adapter.name, () => adapter.track(cleanAwb));
+    if (result) {
+      actualCourier = adapter.name; // 🟢 Found it! Switch the label if it was a fallback.
+      break;
     }
   }
   
@@ -583,78 +1930,120 @@ async function smartTrack(awb, intendedCourier) {
 }
 
 /* ===============================
-   🚀 ELITE SCHEDULER (WITH DB LOCK)
+   📦 BLUEDART BATCH PREFETCH
 ================================ */
-let schedulerRunning = false;
-let lastQueueSize = 0;
-
-async function schedulerLoop() {
-  if (schedulerRunning) return;
-  schedulerRunning = true;
-
-  // 🟢 FRIEND'S FIX: Postgres Advisory Lock (Prevents 2 Render instances from colliding)
-  const lock = await pool.query(`SELECT pg_try_advisory_lock(1042)`);
-  if (!lock.rows[0].pg_try_advisory_lock) {
-    schedulerRunning = false;
-    return; // Another instance is already running the scheduler
+// Tracks every BlueDart-routed AWB in `rows` through batched custawbquery calls.
+// Returns Map awb → result; AWBs BlueDart did not know come back as null, so callers can route
+// them to the other couriers with smartTrack(..., { skip: ["bluedart"] }).
+async function prefetchBluedart(rows) {
+  const awbs = rows
+    .filter(r => getCourier(r.courier_source)?.name === "bluedart")
+    .map(r => String(r.awb || "").trim())
+    .filter(a => BLUEDART_AWB_PATTERN.test(a));
+  if (awbs.length < 2 || !getCourier("bluedart").isConfigured()) return new Map();
+
+  const results = await trackBluedartBatch(awbs);
+  for (const result of results.values()) {
+    if (result) result.actual_courier = "bluedart";
   }
+  return results;
+}
 
-  try {
-    const countRes = await pool.query(`
-      SELECT COUNT(*) FROM shipments_ops
-      WHERE delivered IS DISTINCT FROM TRUE
-        AND (last_status IS NULL OR last_status NOT LIKE '%CANCEL%')
-        AND (next_check_at IS NULL OR next_check_at <= NOW())
-    `);
-    lastQueueSize = parseInt(countRes.rows[0].count) || 0;
+/* ===============================
+   🚀 ELITE SCHEDULER (SKIP LOCKED LEASES)
+================================ */
+// Each instance claims a batch of due shipments with FOR UPDATE SKIP LOCKED and leases them,
+// so several instances can drain the queue in parallel. Per-courier concurrency and rate
+// limits are enforced inside smartTrack, so the batch can be fired off all at once.
+const SCHEDULER_LEASE_MINUTES = 10;
+const DUE_SHIPMENTS_SQL = `
+  delivered IS DISTINCT FROM TRUE
+  AND (last_status IS NULL OR (last_status NOT LIKE '%CANCEL%' AND last_status <> 'INVALID_AWB'))
+  AND (next_check_at IS NULL OR next_check_at <= NOW())
+`;
 
-    const { rows } = await pool.query(`
-      SELECT awb, courier_source FROM shipments_ops
-      WHERE delivered IS DISTINCT FROM TRUE
-        AND (last_status IS NULL OR last_status NOT LIKE '%CANCEL%')
-        AND (next_check_at IS NULL OR next_check_at <= NOW())
-      ORDER BY next_check_at ASC NULLS FIRST, last_checked_at ASC NULLS FIRST
-      LIMIT 1
-    `);
+let schedulerRunning = false;
+let lastQueueSize = 0;
+let lastQueueLagSeconds = 0;
+let schedulerInFlight = 0;
+const schedulerCompletions = []; // timestamps of finished checks, trimmed to 15 minutes
+
+function schedulerBatchSize() {
+  return Math.min(parseInt(SCHEDULER_BATCH_SIZE) || 20, 200);
+}
 
-    if (rows.length === 0) return;
+function recordSchedulerCompletion() {
+  incCounter("scheduler_processed_total");
+  const now = Date.now();
+  schedulerCompletions.push(now);
+  while (schedulerCompletions.length && schedulerCompletions[0] < now - 15 * 60000) schedulerCompletions.shift();
+}
 
-    const job = rows[0];
-    const safeAwb = String(job.awb || "").trim();
+function schedulerThroughput(minutes) {
+  const since = Date.now() - minutes * 60000;
+  return schedulerCompletions.filter(t => t >= since).length;
+}
 
+async function processScheduledShipment(job, prefetched = new Map()) {
+  const safeAwb = String(job.awb || "").trim();
+  try {
     if (safeAwb.toUpperCase().includes('TEST') || safeAwb.length < 5) {
-      await pool.query(`UPDATE shipments_ops SET next_check_at = NULL, last_status = 'INVALID_AWB' WHERE awb = $1`, [job.awb]);
+      await pool.query(`UPDATE shipments_ops SET next_check_at = NULL, last_status = 'INVALID_AWB', lease_until = NULL WHERE awb = $1`, [job.awb]);
       return;
     }
 
-    const result = await smartTrack(job.awb, job.courier_source);
+    const result = prefetched.has(safeAwb)
+      ? prefetched.get(safeAwb) || await smartTrack(job.awb, job.courier_source, { skip: ["bluedart"] })
+      : await smartTrack(job.awb, job.courier_source);
 
     if (result) {
-      const state = resolveShipmentState(result.status, result.history);
-      const delay = getNextCheckDelay(state);
-      const nextCheck = delay ? new Date(Date.now() + delay) : null;
-
-      await pool.query(`
-        UPDATE shipments_ops SET
-          last_status = $1, last_state = $2, delivered = $3,
-          history = $4::jsonb, raw_data = $5::jsonb,
-          next_check_at = $6, last_checked_at = NOW(),
-          courier_source = $8
-        WHERE awb = $7
-      `, [result.status, state, result.delivered,
-          JSON.stringify(result.history || []),
-          JSON.stringify(result.raw || {}),
-          nextCheck, job.awb, result.actual_courier]);
-
+      await persistTrackingResult(job.awb, result);
       if (result.delivered) logEvent('INFO', 'SCHEDULER', `✅ Delivered & stopped tracking: ${job.awb}`);
     } else {
-      await pool.query(`UPDATE shipments_ops SET next_check_at = NOW() + INTERVAL '2 hours' WHERE awb = $1`, [job.awb]);
+      await pool.query(`UPDATE shipments_ops SET next_check_at = NOW() + INTERVAL '2 hours', lease_until = NULL WHERE awb = $1`, [job.awb]);
     }
+  } catch (e) {
+    console.error(`Scheduler Error (${job.awb}):`, e.message);
+  } finally {
+    recordSchedulerCompletion();
+  }
+}
+
+async function schedulerLoop() {
+  if (schedulerRunning) return 0;
+  schedulerRunning = true;
+
+  try {
+    const depthRes = await pool.query(`
+      SELECT COUNT(*) AS depth, EXTRACT(EPOCH FROM NOW() - MIN(COALESCE(next_check_at, NOW()))) AS lag
+      FROM shipments_ops WHERE ${DUE_SHIPMENTS_SQL}
+    `);
+    lastQueueSize = parseInt(depthRes.rows[0].depth) || 0;
+    lastQueueLagSeconds = Math.max(0, Math.round(parseFloat(depthRes.rows[0].lag) || 0));
+    if (lastQueueSize === 0) return 0;
+
+    const { rows } = await pool.query(`
+      UPDATE shipments_ops SET lease_until = NOW() + ($2 * INTERVAL '1 minute'), leased_by = $3
+      WHERE awb IN (
+        SELECT awb FROM shipments_ops
+        WHERE ${DUE_SHIPMENTS_SQL}
+          AND (lease_until IS NULL OR lease_until < NOW())
+        ORDER BY next_check_at ASC NULLS FIRST, last_checked_at ASC NULLS FIRST
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING awb, courier_source
+    `, [schedulerBatchSize(), SCHEDULER_LEASE_MINUTES, INSTANCE_ID]);
+
+    schedulerInFlight = rows.length;
+    const prefetched = await prefetchBluedart(rows);
+    await Promise.all(rows.map(row => processScheduledShipment(row, prefetched)));
+    return rows.length;
   } catch (e) {
     console.error("Scheduler Error:", e.message);
+    return 0;
   } finally {
-    // 🟢 FRIEND'S FIX: Always release the lock when done, even if it crashes!
-    await pool.query(`SELECT pg_advisory_unlock(1042)`);
+    schedulerInFlight = 0;
     schedulerRunning = false;
   }
 }
@@ -664,8 +2053,10 @@ function startScheduler() {
   if (schedulerInterval) clearInterval(schedulerInterval);
 
   async function adaptiveTick() {
-    await schedulerLoop();
-    const nextDelay = lastQueueSize > 20 ? 3000 : lastQueueSize > 5 ? 10000 : 30000;
+    const claimed = await withCorrelation(newCorrelationId("sched"), schedulerLoop);
+    // A full batch means there is more waiting: go again almost immediately
+    const nextDelay = claimed >= schedulerBatchSize() ? 500
+      : lastQueueSize > 20 ? 3000 : lastQueueSize > 5 ? 10000 : 30000;
     schedulerInterval = setTimeout(adaptiveTick, nextDelay);
   }
   schedulerInterval = setTimeout(adaptiveTick, 5000);
@@ -674,556 +2065,3746 @@ function startScheduler() {
 /* ===============================
    ⚡️ LIVE REFRESH
 ================================ */
-async function forceRefreshShipment(awb, courier) {
+// prefetched: result from a batch call (see prefetchBluedart); undefined = track it here
+async function forceRefreshShipment(awb, courier, prefetched) {
   if (!awb) return null;
   
-  const result = await smartTrack(awb, courier);
+  const result = prefetched !== undefined
+    ? prefetched || await smartTrack(awb, courier, { skip: ["bluedart"] })
+    : await smartTrack(awb, courier);
 
   if (result) {
-    const state = resolveShipmentState(result.status, result.history);
-    const delay = getNextCheckDelay(state);
-    
-    // 🟢 UPGRADE: Also updates courier_source ($8) during live manual refreshes
-    await pool.query(`
-      UPDATE shipments_ops SET
-        delivered = $1, last_status = $2, last_state = $3,
-        history = $4::jsonb, raw_data = $5::jsonb,
-        next_check_at = $6, last_checked_at = NOW(),
-        courier_source = $8
-      WHERE awb = $7
-    `, [result.delivered, result.status, state,
-        JSON.stringify(result.history || []),
-        JSON.stringify(result.raw || {}),
-        delay ? new Date(Date.now() + delay) : null, awb, result.actual_courier]);
-
+    await persistTrackingResult(awb, result);
     logEvent('INFO', 'TRACKING', `Live refreshed ${awb}`, { status: result.status });
   }
   return result;
 }
 
 /* ===============================
-   🔔 WEBHOOKS
+   📜 SHIPMENT TIMELINE & TRANSITIONS
 ================================ */
-app.post("/webhooks/orders_paid", async (req, res) => {
-  res.sendStatus(200);
-  if (!verifyShopify(req)) return;
-  const webhookId = req.headers["x-shopify-webhook-id"];
-  if (await isWebhookDuplicate(`paid_${webhookId}`)) return;
-  logEvent('INFO', 'WEBHOOK', `Order Paid: ${req.body.name}`);
-  syncOrder(req.body);
-});
-
-app.post("/webhooks/fulfillments_create", async (req, res) => {
-  res.sendStatus(200);
-  if (!verifyShopify(req) || !req.body.tracking_number) return;
-  const webhookId = req.headers["x-shopify-webhook-id"];
-  if (await isWebhookDuplicate(`fulf_${webhookId}`)) return;
-  const courier = req.body.tracking_company?.toLowerCase().includes("blue") ? "bluedart" : "shiprocket";
-  logEvent('INFO', 'WEBHOOK', `Fulfillment: ${req.body.tracking_number} (${courier})`);
-  
-  // 🟢 SAFETY NET ADDED HERE
-  try {
-    await pool.query(`
-      INSERT INTO shipments_ops (awb, order_id, courier_source, next_check_at)
-      VALUES ($1, $2, $3, NOW() + (random() * interval '5 minutes'))
-      ON CONFLICT (awb) DO NOTHING
-    `, [req.body.tracking_number, String(req.body.order_id), courier]);
-  } catch (e) {
-    logEvent('ERROR', 'WEBHOOK', 'Fulfillment DB Save Failed', { error: e.message });
+// Courier scan dates come without a timezone and in a few shapes ("2026-10-19 14:30:00", "19-Oct-2026 14:30").
+// All of them are IST.
+function parseCourierDate(str) {
+  const v = String(str || "").trim();
+  if (!v) return null;
+  let d;
+  if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}/.test(v) && !/[zZ]|[+-]\d{2}:?\d{2}$/.test(v)) {
+    d = new Date(`${v.replace(" ", "T")}+05:30`);
+  } else if (/[zZ]|[+-]\d{2}:?\d{2}$/.test(v)) {
+    d = new Date(v);
+  } else {
+    d = new Date(`${v.replace(/-/g, " ")} GMT+0530`);
   }
-});
+  return isNaN(d.getTime()) || d.getFullYear() < 2000 ? null : d;
+}
 
-app.post("/webhooks/orders_cancelled", async (req, res) => {
-  res.sendStatus(200);
-  if (!verifyShopify(req)) return;
-  const webhookId = req.headers["x-shopify-webhook-id"];
-  if (await isWebhookDuplicate(`cancel_${webhookId}`)) return;
-  logEvent('INFO', 'WEBHOOK', `Order Cancelled: ${req.body.name}`);
-  
-  // 🟢 SAFETY NET ADDED HERE
-  try {
-    await pool.query(
-      `UPDATE orders_ops SET financial_status = 'cancelled', updated_at = NOW() WHERE id = $1`,
-      [String(req.body.id)]
-    );
-  } catch (e) {
-    logEvent('ERROR', 'WEBHOOK', 'Cancel DB Save Failed', { error: e.message });
-  }
-});
+// Same scan seen through a different poll or a fallback courier hashes the same
+function scanHash(scan) {
+  const norm = v => String(v || "").toUpperCase().replace(/\s+/g, " ").trim();
+  const when = parseCourierDate(scan.date)?.toISOString() || norm(scan.date);
+  return crypto.createHash("sha1").update(`${norm(scan.status)}|${when}|${norm(scan.location)}`).digest("hex");
+}
 
-app.post("/webhooks/orders_updated", async (req, res) => {
-  res.sendStatus(200);
-  if (!verifyShopify(req)) return;
-  const webhookId = req.headers["x-shopify-webhook-id"];
-  if (await isWebhookDuplicate(`upd_${webhookId}`)) return;
-  logEvent('INFO', 'WEBHOOK', `Order Updated: ${req.body.name}`);
-  syncOrder(req.body);
-});
+async function recordShipmentEvents(awb, courier, history = []) {
+  const scans = (history || []).filter(x => x?.status);
+  if (scans.length === 0) return;
+  await pool.query(`
+    INSERT INTO shipment_events (awb, courier, status, location, scan_date, scanned_at, event_hash)
+    SELECT $1, $2, e.status, e.location, e.scan_date, e.scanned_at, e.event_hash
+    FROM unnest($3::text[], $4::text[], $5::text[], $6::timestamptz[], $7::text[])
+      AS e(status, location, scan_date, scanned_at, event_hash)
+    ON CONFLICT (awb, event_hash) DO NOTHING
+  `, [
+    awb, courier,
+    scans.map(x => x.status),
+    scans.map(x => x.location || null),
+    scans.map(x => x.date || null),
+    scans.map(x => parseCourierDate(x.date)),
+    scans.map(scanHash)
+  ]).catch(e => logEvent('ERROR', 'TIMELINE', 'Event insert failed', { awb, error: e.message }));
+}
 
-app.post("/webhooks/returnprime", async (req, res) => {
-  res.sendStatus(200);
-  const rp = req.body?.request;
-  if (!rp) { logEvent('WARN', 'WEBHOOK', 'ReturnPrime missing "request" object'); return; }
+// Single write path for a tracker result: updates shipments_ops, appends new scans and
+// records a transition when last_state changes. Returns { state, reason, previousState }.
+async function persistTrackingResult(awb, result) {
+  const { state, reason } = applyShipmentState(result);
+  const delay = getNextCheckDelay(state);
+
+  // The sub-select reads the row before the update, so we get the previous state atomically
+  const { rows } = await pool.query(`
+    UPDATE shipments_ops s SET
+      delivered = $1, last_status = $2, last_state = $3,
+      history = $4::jsonb, raw_data = $5::jsonb,
+      next_check_at = $6, last_checked_at = NOW(),
+      courier_source = $8, last_state_reason = $9, lease_until = NULL
+    FROM (SELECT awb, last_state AS previous_state FROM shipments_ops WHERE awb = $7 FOR UPDATE) old
+    WHERE s.awb = old.awb
+    RETURNING old.previous_state, s.order_id
+  `, [result.delivered, result.status, state,
+      JSON.stringify(result.history || []),
+      JSON.stringify(result.raw || {}),
+      delay ? new Date(Date.now() + delay) : null, awb, result.actual_courier, reason]);
+
+  const previousState = rows[0]?.previous_state ?? null;
+  await recordShipmentEvents(awb, result.actual_courier, result.history);
+  await recordCourierPromise(awb, result.raw);
+  if (rows.length > 0 && state === 'DELIVERED' && previousState !== state) await markDelivered(awb);
+
+  if (rows.length > 0 && previousState !== state) {
+    await pool.query(`
+      INSERT INTO shipment_transitions (awb, from_state, to_state, reason, courier)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [awb, previousState, state, reason, result.actual_courier])
+      .catch(e => logEvent('ERROR', 'TIMELINE', 'Transition insert failed', { awb, error: e.message }));
+
+    const milestone = SHOPIFY_MILESTONES[state];
+    if (milestone) {
+      const latestScan = (result.history || []).find(x => x?.status);
+      queueShopifyMilestone(awb, rows[0].order_id, milestone, {
+        message: reason || result.status, city: latestScan?.location || null
+      });
+    }
 
-  const { id: returnId, order, status: returnStatus } = rp;
-  const orderNumber = order?.name;
+    const notifyKey = CUSTOMER_NOTIFY_EVENTS[state];
+    if (notifyKey) {
+      queueCustomerNotifications(notifyKey, {
+        awb, order_id: rows[0].order_id, courier: result.actual_courier, reason
+      });
+    }
 
-  if (!returnId || !orderNumber) {
-    logEvent('WARN', 'WEBHOOK', 'ReturnPrime missing ID or Order Number');
-    return;
+    const eventType = SHIPMENT_WEBHOOK_EVENTS[state];
+    if (eventType) {
+      emitWebhookEvent(eventType, {
+        awb, order_id: rows[0].order_id, courier: result.actual_courier,
+        state, previous_state: previousState, reason, status: result.status
+      });
+    }
   }
 
-  try {
-    await pool.query(`
-      INSERT INTO returns_ops (return_id, order_number, status, updated_at)
-      VALUES ($1, $2, $3, NOW())
-      ON CONFLICT (return_id) DO UPDATE SET status = EXCLUDED.status, updated_at = NOW()
-    `, [String(returnId), String(orderNumber), String(returnStatus)]);
-    logEvent('INFO', 'WEBHOOK', `ReturnPrime: ${orderNumber} → ${returnStatus}`);
-  } catch (e) {
-    logEvent('ERROR', 'WEBHOOK', `ReturnPrime DB Error`, { error: e.message });
-  }
-});
+  return { state, reason, previousState };
+}
 
 /* ===============================
-   🔍 CUSTOMER TRACKING ENDPOINT
+   📣 OUTBOUND WEBHOOKS
 ================================ */
-app.post("/track/customer", async (req, res) => {
-  const ip = req.headers["x-forwarded-for"]?.split(",")[0] || req.socket.remoteAddress;
-  if (!checkRateLimit(ip)) return res.status(429).json({ error: "Too many requests" });
+const WEBHOOK_EVENT_TYPES = [
+  "shipment.in_transit", "shipment.out_for_delivery", "shipment.ndr", "shipment.delivered",
+  "shipment.rto", "order.cancelled", "return.updated"
+];
+
+// Canonical state → event raised when a shipment transitions into it
+const SHIPMENT_WEBHOOK_EVENTS = {
+  IN_TRANSIT: "shipment.in_transit",
+  OUT_FOR_DELIVERY: "shipment.out_for_delivery",
+  NDR: "shipment.ndr",
+  DELIVERED: "shipment.delivered",
+  RTO_IN_TRANSIT: "shipment.rto",
+  RTO_DELIVERED: "shipment.rto"
+};
 
-  const input = req.body?.tracking_id || req.body?.awb || req.body?.phone;
-  if (!input) return res.status(400).json({ error: "Tracking ID required" });
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_BATCH_SIZE = 20;
 
+// Fans an event out to every active subscription. Never throws: the caller's own write already succeeded.
+async function emitWebhookEvent(eventType, data) {
   try {
-    const cleanInput = input.toString().trim().replace(/[^a-zA-Z0-9-]/g, "");
-    const phoneMatch = cleanInput.replace(/\D/g, "").slice(-10);
-    const phoneQuery = phoneMatch.length >= 10 ? `%${phoneMatch}%` : 'NO_MATCH';
-
-    const { rows } = await pool.query(`
-      SELECT o.order_number, o.created_at, o.fulfillment_status, o.financial_status,
-             s.awb, s.courier_source, s.last_state, s.last_status,
-             s.history AS db_history, s.last_checked_at
-      FROM orders_ops o
-      LEFT JOIN shipments_ops s ON s.order_id::text = o.id::text
-      WHERE o.customer_phone::text LIKE $1 OR s.awb ILIKE $2
-      ORDER BY o.created_at DESC LIMIT 5
-    `, [phoneQuery, cleanInput]);
-
-    // 🟢 FRIEND'S FIX: Sequential fetching to prevent API rate-limit bans
-    const refreshed = [];
-    for (const row of rows) {
-      if (!row.awb || row.last_state === 'DELIVERED') {
-        refreshed.push(row);
-        continue;
+    await pool.query(`
+      INSERT INTO webhook_deliveries (subscription_id, event_type, payload)
+      SELECT id, $1, $2::jsonb FROM webhook_subscriptions
+      WHERE active = TRUE AND $1 = ANY(event_types)
+    `, [eventType, JSON.stringify({ event: eventType, occurred_at: new Date().toISOString(), data })]);
+  } catch (e) {
+    logEvent('ERROR', 'OUTBOUND_WEBHOOK', `Emit failed: ${eventType}`, { error: e.message });
+  }
+}
+
+// Receivers verify with HMAC-SHA256(secret, `${timestamp}.${body}`), hex encoded
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// 30s, 1m, 2m, 4m ... capped at 6h. Shared by every outbound retry queue.
+function retryBackoffMs(attempts) {
+  return Math.min(30000 * 2 ** (attempts - 1), 6 * 3600000);
+}
+
+let webhookDispatchRunning = false;
+
+async function dispatchWebhookDeliveries() {
+  if (webhookDispatchRunning) return;
+  webhookDispatchRunning = true;
+  try {
+    // Lease the batch by pushing next_attempt_at forward, so other instances skip it
+    const { rows } = await pool.query(`
+      UPDATE webhook_deliveries d SET next_attempt_at = NOW() + INTERVAL '5 minutes'
+      FROM webhook_subscriptions sub
+      WHERE d.id IN (
+        SELECT id FROM webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at ASC LIMIT ${WEBHOOK_BATCH_SIZE}
+        FOR UPDATE SKIP LOCKED
+      ) AND sub.id = d.subscription_id
+      RETURNING d.id, d.event_type, d.payload, d.attempts, sub.url, sub.secret
+    `);
+
+    for (const d of rows) {
+      const body = JSON.stringify({ id: String(d.id), ...d.payload });
+      const timestamp = Math.floor(Date.now() / 1000);
+      const attempts = d.attempts + 1;
+      let statusCode = null;
+      let error = null;
+
+      try {
+        const r = await axios.post(d.url, body, {
+          headers: {
+            "Content-Type": "application/json",
+            "X-Ops-Event": d.event_type,
+            "X-Ops-Delivery": String(d.id),
+            "X-Ops-Timestamp": String(timestamp),
+            "X-Ops-Signature": `sha256=${signWebhookPayload(d.secret, timestamp, body)}`
+          },
+          timeout: 10000,
+          validateStatus: () => true
+        });
+        statusCode = r.status;
+        if (r.status < 200 || r.status >= 300) error = `HTTP ${r.status}`;
+      } catch (e) {
+        error = e.code || e.message;
       }
-      const safeAwb = String(row.awb || "").toUpperCase();
-      const isTestAwb = safeAwb.includes('TEST') || safeAwb.length < 5;
-      const lastCheck = row.last_checked_at ? new Date(row.last_checked_at).getTime() : 0;
-      
-      if (!isTestAwb && Date.now() - lastCheck > 30 * 60 * 1000) {
-        const fresh = await forceRefreshShipment(row.awb, row.courier_source);
-        if (fresh) {
-          row.last_state = resolveShipmentState(fresh.status, fresh.history);
-          row.last_status = fresh.status;
-          row.db_history = fresh.history;
-        }
-        await new Promise(r => setTimeout(r, 400)); // Breathe for 400ms between live calls!
+
+      if (!error) {
+        await pool.query(`
+          UPDATE webhook_deliveries SET status = 'delivered', attempts = $2, last_status_code = $3,
+            last_error = NULL, delivered_at = NOW()
+          WHERE id = $1
+        `, [d.id, attempts, statusCode]);
+      } else if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+        await pool.query(`
+          UPDATE webhook_deliveries SET status = 'dead', attempts = $2, last_status_code = $3, last_error = $4
+          WHERE id = $1
+        `, [d.id, attempts, statusCode, error]);
+        logEvent('WARN', 'OUTBOUND_WEBHOOK', `Dead-lettered delivery ${d.id} (${d.event_type})`, { url: d.url, error });
+      } else {
+        await pool.query(`
+          UPDATE webhook_deliveries SET attempts = $2, last_status_code = $3, last_error = $4,
+            next_attempt_at = NOW() + $5 * INTERVAL '1 millisecond'
+          WHERE id = $1
+        `, [d.id, attempts, statusCode, error, retryBackoffMs(attempts)]);
+      }
+    }
+  } catch (e) {
+    logEvent('ERROR', 'OUTBOUND_WEBHOOK', 'Dispatcher crashed', { error: e.message });
+  } finally {
+    webhookDispatchRunning = false;
+  }
+}
+
+let webhookDispatchInterval = null;
+
+/* ===============================
+   💬 CUSTOMER NOTIFICATIONS
+================================ */
+// Canonical state → template event key. RTO_IN_TRANSIT and RTO_DELIVERED share one key, so dedup sends it once.
+const CUSTOMER_NOTIFY_EVENTS = {
+  OUT_FOR_DELIVERY: "OUT_FOR_DELIVERY",
+  NDR: "NDR",
+  DELIVERED: "DELIVERED",
+  RTO_IN_TRANSIT: "RTO",
+  RTO_DELIVERED: "RTO"
+};
+
+const DEFAULT_NOTIFICATION_TEMPLATES = [
+  { event_key: "OUT_FOR_DELIVERY", channel: "whatsapp", body: "Hi {{customer_name}}, your order {{order_number}} is out for delivery today with {{courier}} (AWB {{awb}})." },
+  { event_key: "OUT_FOR_DELIVERY", channel: "sms", body: "Order {{order_number}} is out for delivery today. AWB {{awb}} via {{courier}}." },
+  { event_key: "OUT_FOR_DELIVERY", channel: "email", subject: "Your order {{order_number}} is out for delivery", body: "Hi {{customer_name}},\n\nYour order {{order_number}} is out for delivery today with {{courier}} (AWB {{awb}})." },
+  { event_key: "NDR", channel: "whatsapp", body: "Hi {{customer_name}}, {{courier}} could not deliver order {{order_number}}: {{reason}}. Reply here if you need a reattempt." },
+  { event_key: "NDR", channel: "sms", body: "Delivery attempt for order {{order_number}} failed: {{reason}}. AWB {{awb}}." },
+  { event_key: "NDR", channel: "email", subject: "We missed you - order {{order_number}}", body: "Hi {{customer_name}},\n\n{{courier}} could not deliver order {{order_number}}: {{reason}}.\nReply to this email if you need a reattempt." },
+  { event_key: "DELIVERED", channel: "whatsapp", body: "Hi {{customer_name}}, your order {{order_number}} has been delivered. Enjoy!" },
+  { event_key: "DELIVERED", channel: "sms", body: "Order {{order_number}} has been delivered." },
+  { event_key: "DELIVERED", channel: "email", subject: "Order {{order_number}} delivered", body: "Hi {{customer_name}},\n\nYour order {{order_number}} has been delivered." },
+  { event_key: "RTO", channel: "whatsapp", body: "Hi {{customer_name}}, order {{order_number}} could not be delivered and is being returned to us. We will get in touch shortly." },
+  { event_key: "RTO", channel: "sms", body: "Order {{order_number}} is being returned to the seller after failed delivery attempts." },
+  { event_key: "RTO", channel: "email", subject: "Order {{order_number}} is being returned", body: "Hi {{customer_name}},\n\nOrder {{order_number}} could not be delivered and is being returned to us. We will get in touch shortly." }
+];
+
+// Indian numbers are stored in every shape Shopify allows; providers want 91XXXXXXXXXX
+function normalizeIndianPhone(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  if (digits.length < 10) return null;
+  return `91${digits.slice(-10)}`;
+}
+
+// Provider interface: { name, channel, isConfigured(), send({ to, subject, body }) } — send throws on failure
+const notificationProviders = new Map();
+
+function registerNotificationProvider(provider) {
+  notificationProviders.set(`${provider.channel}:${provider.name}`, provider);
+}
+
+// Only the provider named for the channel is used; the stub has to be asked for by name too
+function getNotificationProvider(channel) {
+  const configured = clean({ whatsapp: NOTIFY_WHATSAPP_PROVIDER, sms: NOTIFY_SMS_PROVIDER, email: NOTIFY_EMAIL_PROVIDER }[channel]);
+  const provider = configured && notificationProviders.get(`${channel}:${configured}`);
+  return provider?.isConfigured() ? provider : null;
+}
+
+function enabledNotifyChannels() {
+  return (clean(NOTIFY_CHANNELS) || "").split(",").map(c => c.trim().toLowerCase()).filter(Boolean);
+}
+
+// Local testing (NOTIFY_<CHANNEL>_PROVIDER=stub): prints the message and, if NOTIFY_STUB_FILE is set, appends it as NDJSON
+for (const channel of ["whatsapp", "sms", "email"]) {
+  registerNotificationProvider({
+    name: "stub",
+    channel,
+    isConfigured: () => true,
+    send: async ({ to, subject, body }) => {
+      console.log(`📨 [${channel}] → ${to}${subject ? ` | ${subject}` : ""}\n${body}`);
+      if (NOTIFY_STUB_FILE) {
+        await fs.promises.appendFile(clean(NOTIFY_STUB_FILE), JSON.stringify({ channel, to, subject, body, at: new Date().toISOString() }) + "\n");
       }
-      refreshed.push(row);
     }
-    const results = refreshed.map(row => {
-      let history = [{ status: "Ordered", date: new Date(row.created_at).toDateString(), completed: true }];
-      if (row.fulfillment_status === 'fulfilled') {
-        history.push({ status: "Dispatched", date: "Order Packed", completed: true });
+  });
+}
+
+registerNotificationProvider({
+  name: "meta",
+  channel: "whatsapp",
+  isConfigured: () => !!(WHATSAPP_PHONE_NUMBER_ID && WHATSAPP_ACCESS_TOKEN),
+  send: async ({ to, body }) => {
+    await axios.post(
+      `https://graph.facebook.com/v19.0/${clean(WHATSAPP_PHONE_NUMBER_ID)}/messages`,
+      { messaging_product: "whatsapp", to, type: "text", text: { body } },
+      { headers: { Authorization: `Bearer ${clean(WHATSAPP_ACCESS_TOKEN)}` }, httpsAgent }
+    );
+  }
+});
+
+registerNotificationProvider({
+  name: "msg91",
+  channel: "sms",
+  isConfigured: () => !!(MSG91_AUTH_KEY && MSG91_SENDER_ID),
+  send: async ({ to, body }) => {
+    await axios.post(
+      "https://api.msg91.com/api/v2/sendsms",
+      { sender: clean(MSG91_SENDER_ID), route: "4", country: "91", sms: [{ message: body, to: [to.slice(-10)] }] },
+      { headers: { authkey: clean(MSG91_AUTH_KEY) }, httpsAgent }
+    );
+  }
+});
+
+registerNotificationProvider({
+  name: "sendgrid",
+  channel: "email",
+  isConfigured: () => !!(SENDGRID_API_KEY && NOTIFY_EMAIL_FROM),
+  send: async ({ to, subject, body }) => {
+    await axios.post(
+      "https://api.sendgrid.com/v3/mail/send",
+      {
+        personalizations: [{ to: [{ email: to }] }],
+        from: { email: clean(NOTIFY_EMAIL_FROM) },
+        subject,
+        content: [{ type: "text/plain", value: body }]
+      },
+      { headers: { Authorization: `Bearer ${clean(SENDGRID_API_KEY)}` }, httpsAgent }
+    );
+  }
+});
+
+function renderTemplate(text, vars) {
+  return String(text || "").replace(/\{\{(\w+)\}\}/g, (_, k) => vars[k] ?? "");
+}
+
+// Quiet hours are IST wall-clock hours, e.g. 21 → 9. Returns when a message queued now may go out.
+function nextSendTime() {
+  const start = parseInt(NOTIFY_QUIET_START ?? "21");
+  const end = parseInt(NOTIFY_QUIET_END ?? "9");
+  if (isNaN(start) || isNaN(end) || start === end) return new Date();
+
+  const ist = nowIST();
+  const h = ist.getHours();
+  const quiet = start > end ? (h >= start || h < end) : (h >= start && h < end);
+  if (!quiet) return new Date();
+
+  const release = new Date(ist);
+  if (h >= end) release.setDate(release.getDate() + 1);
+  release.setHours(end, 0, 0, 0);
+  return new Date(Date.now() + (release - ist));
+}
+
+// Renders every enabled channel's template and queues it. The unique key on notification_log is the dedup.
+async function queueCustomerNotifications(eventKey, { awb, order_id: orderId, courier, reason }) {
+  const channels = enabledNotifyChannels();
+  if (channels.length === 0 || !orderId) return;
+
+  try {
+    const [orderRes, tplRes] = await Promise.all([
+      pool.query(`SELECT order_number, customer_name, customer_email, customer_phone FROM orders_ops WHERE id = $1`, [String(orderId)]),
+      pool.query(`SELECT channel, subject, body FROM notification_templates WHERE event_key = $1 AND active = TRUE`, [eventKey])
+    ]);
+    const order = orderRes.rows[0];
+    if (!order) return;
+
+    const vars = {
+      customer_name: order.customer_name || "there",
+      order_number: order.order_number,
+      awb,
+      courier: getCourier(courier)?.label || courier || "our courier partner",
+      reason: reason || "the courier could not reach you",
+      tracking_url: trackingLinkFor(awb ? `awb:${awb}` : `order:${orderId}`) || ""
+    };
+    const sendAfter = nextSendTime();
+
+    for (const tpl of tplRes.rows) {
+      if (!channels.includes(tpl.channel)) continue;
+      const recipient = tpl.channel === "email" ? order.customer_email : normalizeIndianPhone(order.customer_phone);
+      if (!recipient) continue;
+
+      await pool.query(`
+        INSERT INTO notification_log (order_id, awb, event_key, channel, recipient, subject, body, send_after)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (order_id, awb, event_key, channel) DO NOTHING
+      `, [String(orderId), awb || "", eventKey, tpl.channel, recipient,
+          tpl.subject ? renderTemplate(tpl.subject, vars) : null, renderTemplate(tpl.body, vars), sendAfter]);
+    }
+  } catch (e) {
+    logEvent('ERROR', 'NOTIFY', `Queue failed: ${eventKey}`, { awb, error: e.message });
+  }
+}
+
+const NOTIFY_MAX_ATTEMPTS = 6;
+let notificationDispatchRunning = false;
+
+async function dispatchNotifications() {
+  if (notificationDispatchRunning) return;
+  notificationDispatchRunning = true;
+  try {
+    // Lease rows like the webhook dispatcher does, so a second instance does not double-send.
+    // send_after holds quiet hours; next_attempt_at the lease and retry backoff.
+    const { rows } = await pool.query(`
+      UPDATE notification_log SET next_attempt_at = NOW() + INTERVAL '5 minutes'
+      WHERE id IN (
+        SELECT id FROM notification_log
+        WHERE status = 'pending' AND send_after <= NOW() AND next_attempt_at <= NOW()
+        ORDER BY send_after ASC LIMIT 20
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, channel, recipient, subject, body, attempts
+    `);
+
+    for (const n of rows) {
+      const provider = getNotificationProvider(n.channel);
+      if (!provider) {
+        await pool.query(`UPDATE notification_log SET status = 'failed', error = 'No provider configured' WHERE id = $1`, [n.id]);
+        continue;
       }
-      if (Array.isArray(row.db_history)) history = [...history, ...row.db_history];
-
-      let currentState = row.last_state || (row.fulfillment_status === 'fulfilled' ? "IN_TRANSIT" : "PROCESSING");
-
-      const historyStr = JSON.stringify(row.db_history || []).toUpperCase();
-      if (
-        row.financial_status === 'cancelled' ||
-        row.financial_status === 'voided' ||
-        row.financial_status === 'refunded' ||
-        row.last_status?.toUpperCase().includes('CANCEL') ||
-        historyStr.includes('CANCEL')
-      ) {
-        currentState = "CANCELLED";
+      const attempts = n.attempts + 1;
+      try {
+        await provider.send({ to: n.recipient, subject: n.subject, body: n.body });
+        await pool.query(`
+          UPDATE notification_log SET status = 'sent', provider = $2, attempts = $3, sent_at = NOW(), error = NULL WHERE id = $1
+        `, [n.id, provider.name, attempts]);
+      } catch (e) {
+        const error = e.response?.data ? JSON.stringify(e.response.data).substring(0, 500) : e.message;
+        const failed = attempts >= NOTIFY_MAX_ATTEMPTS;
+        await pool.query(`
+          UPDATE notification_log SET status = $2, provider = $3, attempts = $4, error = $5,
+            next_attempt_at = NOW() + $6 * INTERVAL '1 millisecond'
+          WHERE id = $1
+        `, [n.id, failed ? 'failed' : 'pending', provider.name, attempts, error, retryBackoffMs(attempts)]);
+        logEvent(failed ? 'ERROR' : 'WARN', 'NOTIFY', `${n.channel} send failed`, { id: n.id, attempts, error });
       }
+    }
+  } catch (e) {
+    logEvent('ERROR', 'NOTIFY', 'Dispatcher crashed', { error: e.message });
+  } finally {
+    notificationDispatchRunning = false;
+  }
+}
 
-      return {
-        shopify_order_name: row.order_number,
-        awb: row.awb,
-        current_state: currentState,
-        courier: row.courier_source,
-        last_known_status: row.last_status || "Shipment info will be updated shortly",
-        tracking_history: history
-      };
+let notificationDispatchInterval = null;
+
+/* ===============================
+   🛍️ SHOPIFY FULFILLMENT EVENTS
+================================ */
+// Canonical state → Shopify fulfillment event status
+const SHOPIFY_MILESTONES = {
+  IN_TRANSIT: "in_transit",
+  OUT_FOR_DELIVERY: "out_for_delivery",
+  NDR: "attempted_delivery",
+  DELIVERED: "delivered",
+  RTO_IN_TRANSIT: "failure",
+  LOST: "failure",
+  DAMAGED: "failure"
+};
+
+const SHOPIFY_EVENT_MAX_ATTEMPTS = 10;
+
+// UNIQUE (awb, milestone) makes this idempotent: each milestone is queued, and so posted, once per AWB
+async function queueShopifyMilestone(awb, orderId, milestone, { message, city }) {
+  if (!SHOPIFY_ACCESS_TOKEN || !SHOP_NAME || !orderId) return;
+  await pool.query(`
+    INSERT INTO shopify_fulfillment_events (awb, order_id, milestone, message, city)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (awb, milestone) DO NOTHING
+  `, [awb, String(orderId), milestone, message ? String(message).substring(0, 255) : null, city])
+    .catch(e => logEvent('ERROR', 'SHOPIFY_EVENTS', 'Queue failed', { awb, milestone, error: e.message }));
+}
+
+// Shipments synced before fulfillment_id was stored are matched by tracking number once, then cached
+async function resolveFulfillmentId(awb, orderId) {
+  const { rows } = await pool.query(`SELECT fulfillment_id FROM shipments_ops WHERE awb = $1`, [awb]);
+  if (rows[0]?.fulfillment_id) return rows[0].fulfillment_id;
+
+  const r = await axios.get(
+    `https://${clean(SHOP_NAME)}.myshopify.com/admin/api/${API_VER}/orders/${orderId}/fulfillments.json`,
+    { headers: { "X-Shopify-Access-Token": clean(SHOPIFY_ACCESS_TOKEN) } }
+  );
+  const match = (r.data.fulfillments || []).find(f =>
+    f.tracking_number === awb || (f.tracking_numbers || []).includes(awb)
+  );
+  if (!match) return null;
+  await pool.query(`UPDATE shipments_ops SET fulfillment_id = $1 WHERE awb = $2`, [String(match.id), awb]);
+  return String(match.id);
+}
+
+let shopifyEventDispatchRunning = false;
+
+async function dispatchShopifyEvents() {
+  if (shopifyEventDispatchRunning || !SHOPIFY_ACCESS_TOKEN || !SHOP_NAME) return;
+  shopifyEventDispatchRunning = true;
+  try {
+    const { rows } = await pool.query(`
+      UPDATE shopify_fulfillment_events SET next_attempt_at = NOW() + INTERVAL '5 minutes'
+      WHERE id IN (
+        SELECT id FROM shopify_fulfillment_events
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at ASC LIMIT 20
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, awb, order_id, milestone, message, city, happened_at, attempts
+    `);
+
+    for (const ev of rows) {
+      const attempts = ev.attempts + 1;
+      try {
+        const fulfillmentId = await resolveFulfillmentId(ev.awb, ev.order_id);
+        if (!fulfillmentId) throw new Error("No matching Shopify fulfillment");
+
+        const r = await axios.post(
+          `https://${clean(SHOP_NAME)}.myshopify.com/admin/api/${API_VER}/orders/${ev.order_id}/fulfillments/${fulfillmentId}/events.json`,
+          { event: { status: ev.milestone, message: ev.message, city: ev.city, happened_at: ev.happened_at } },
+          { headers: { "X-Shopify-Access-Token": clean(SHOPIFY_ACCESS_TOKEN) } }
+        );
+        await pool.query(`
+          UPDATE shopify_fulfillment_events SET status = 'posted', attempts = $2, shopify_event_id = $3,
+            last_error = NULL, posted_at = NOW()
+          WHERE id = $1
+        `, [ev.id, attempts, r.data?.fulfillment_event?.id ? String(r.data.fulfillment_event.id) : null]);
+        trackApiUsage('shopify_fulfillment_events');
+      } catch (e) {
+        const error = e.response?.data ? JSON.stringify(e.response.data).substring(0, 500) : e.message;
+        const dead = attempts >= SHOPIFY_EVENT_MAX_ATTEMPTS;
+        await pool.query(`
+          UPDATE shopify_fulfillment_events SET status = $2, attempts = $3, last_error = $4,
+            next_attempt_at = NOW() + $5 * INTERVAL '1 millisecond'
+          WHERE id = $1
+        `, [ev.id, dead ? 'dead' : 'pending', attempts, error, retryBackoffMs(attempts)]);
+        if (dead) logEvent('ERROR', 'SHOPIFY_EVENTS', `Gave up on ${ev.milestone} for ${ev.awb}`, { error });
+      }
+    }
+  } catch (e) {
+    logEvent('ERROR', 'SHOPIFY_EVENTS', 'Dispatcher crashed', { error: e.message });
+  } finally {
+    shopifyEventDispatchRunning = false;
+  }
+}
+
+let shopifyEventDispatchInterval = null;
+
+/* ===============================
+   🔔 WEBHOOKS
+================================ */
+app.post("/webhooks/orders_paid", async (req, res) => {
+  res.sendStatus(200);
+  if (!verifyShopify(req)) return;
+  const webhookId = req.headers["x-shopify-webhook-id"];
+  if (await isWebhookDuplicate(`paid_${webhookId}`)) return;
+  logEvent('INFO', 'WEBHOOK', `Order Paid: ${req.body.name}`);
+  syncOrder(req.body);
+});
+
+app.post("/webhooks/fulfillments_create", async (req, res) => {
+  res.sendStatus(200);
+  if (!verifyShopify(req) || !req.body.tracking_number) return;
+  const webhookId = req.headers["x-shopify-webhook-id"];
+  if (await isWebhookDuplicate(`fulf_${webhookId}`)) return;
+  const courier = courierFromTrackingCompany(req.body.tracking_company);
+  logEvent('INFO', 'WEBHOOK', `Fulfillment: ${req.body.tracking_number} (${courier})`);
+  
+  // 🟢 SAFETY NET ADDED HERE
+  try {
+    await pool.query(`
+      INSERT INTO shipments_ops (awb, order_id, courier_source, fulfillment_id, origin_location_id, next_check_at)
+      VALUES ($1, $2, $3, $4, $5, NOW() + (random() * interval '5 minutes'))
+      ON CONFLICT (awb) DO UPDATE SET fulfillment_id = EXCLUDED.fulfillment_id, origin_location_id = EXCLUDED.origin_location_id
+        WHERE shipments_ops.fulfillment_id IS NULL
+    `, [req.body.tracking_number, String(req.body.order_id), courier, req.body.id ? String(req.body.id) : null,
+        req.body.location_id ? String(req.body.location_id) : null]);
+    await applyOrderPromise(String(req.body.order_id));
+  } catch (e) {
+    logEvent('ERROR', 'WEBHOOK', 'Fulfillment DB Save Failed', { error: e.message });
+  }
+});
+
+app.post("/webhooks/orders_cancelled", async (req, res) => {
+  res.sendStatus(200);
+  if (!verifyShopify(req)) return;
+  const webhookId = req.headers["x-shopify-webhook-id"];
+  if (await isWebhookDuplicate(`cancel_${webhookId}`)) return;
+  logEvent('INFO', 'WEBHOOK', `Order Cancelled: ${req.body.name}`);
+  
+  // 🟢 SAFETY NET ADDED HERE
+  try {
+    await pool.query(
+      `UPDATE orders_ops SET financial_status = 'cancelled', updated_at = NOW() WHERE id = $1`,
+      [String(req.body.id)]
+    );
+    emitWebhookEvent("order.cancelled", {
+      order_id: String(req.body.id), order_number: req.body.name,
+      cancel_reason: req.body.cancel_reason || null, cancelled_at: req.body.cancelled_at || null
     });
+  } catch (e) {
+    logEvent('ERROR', 'WEBHOOK', 'Cancel DB Save Failed', { error: e.message });
+  }
+});
+
+app.post("/webhooks/orders_updated", async (req, res) => {
+  res.sendStatus(200);
+  if (!verifyShopify(req)) return;
+  const webhookId = req.headers["x-shopify-webhook-id"];
+  if (await isWebhookDuplicate(`upd_${webhookId}`)) return;
+  logEvent('INFO', 'WEBHOOK', `Order Updated: ${req.body.name}`);
+  syncOrder(req.body);
+});
+
+app.post("/webhooks/returnprime", async (req, res) => {
+  res.sendStatus(200);
+  incCounter("webhook_receipts_total", { topic: "returnprime", result: "unverified" });
+  const rp = req.body?.request;
+  if (!rp) { logEvent('WARN', 'WEBHOOK', 'ReturnPrime missing "request" object'); return; }
+
+  const { id: returnId, order, status: returnStatus } = rp;
+  const orderNumber = order?.name;
+
+  if (!returnId || !orderNumber) {
+    logEvent('WARN', 'WEBHOOK', 'ReturnPrime missing ID or Order Number');
+    return;
+  }
 
-    res.json({ orders: results });
+  try {
+    await pool.query(`
+      INSERT INTO returns_ops (return_id, order_number, status, updated_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (return_id) DO UPDATE SET status = EXCLUDED.status, updated_at = NOW()
+    `, [String(returnId), String(orderNumber), String(returnStatus)]);
+    logEvent('INFO', 'WEBHOOK', `ReturnPrime: ${orderNumber} → ${returnStatus}`);
+    emitWebhookEvent("return.updated", {
+      return_id: String(returnId), order_number: String(orderNumber), status: String(returnStatus)
+    });
   } catch (e) {
-    logEvent('ERROR', 'TRACKING', 'Customer Track Error', { error: e.message });
-    res.status(500).json({ error: "Server error" });
+    logEvent('ERROR', 'WEBHOOK', `ReturnPrime DB Error`, { error: e.message });
   }
 });
 
 /* ===============================
-   🚚 EDD ENDPOINT
+   🔍 CUSTOMER TRACKING ENDPOINT
 ================================ */
-app.post("/edd", async (req, res) => {
-  const { pincode } = req.body;
-  if (!/^\d{6}$/.test(pincode)) return res.json({ edd_display: null });
-  if (eddCache.has(pincode)) return res.json(eddCache.get(pincode));
+// Phone lookups need an OTP, order-number lookups the order's email. Anything unverified
+// (e.g. a bare AWB) gets a masked view. Verification hands out a session token
+// (x-tracking-session header or session_token) good for TRACKING_SESSION_TTL of repeat lookups.
+const OTP_TTL_SECONDS = 300;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_MAX_PER_WINDOW = 3; // per phone per 15 minutes
+const TRACKING_SESSION_TTL = 30 * 60;
+
+const CUSTOMER_TRACKING_SQL = `
+  SELECT o.id AS order_id, o.order_number, o.created_at, o.fulfillment_status, o.financial_status, o.customer_email,
+         RIGHT(regexp_replace(o.customer_phone, '\\D', '', 'g'), 10) AS phone_digits,
+         s.awb, s.courier_source, s.last_state, s.last_status,
+         s.history AS db_history, s.last_checked_at, s.raw_data,
+         o.shipping_address->>'province_code' AS dest_state
+  FROM orders_ops o
+  LEFT JOIN shipments_ops s ON s.order_id::text = o.id::text
+`;
+
+function hashOtp(phone, code) {
+  return crypto.createHmac("sha256", TOKEN_SECRET).update(`${phone}:${code}`).digest("hex");
+}
+
+// The stub prints codes to stdout, so production only gets it when OTP_SMS_PROVIDER=stub says so
+function otpSmsProvider() {
+  const name = clean(OTP_SMS_PROVIDER) || clean(NOTIFY_SMS_PROVIDER) || (clean(NODE_ENV) !== "production" ? "stub" : null);
+  const provider = name && notificationProviders.get(`sms:${name}`);
+  return provider?.isConfigured() ? provider : null;
+}
+
+function maskOrderNumber(name) {
+  const v = String(name || "");
+  return v.length <= 4 ? "••••" : `${v.slice(0, 3)}${"•".repeat(Math.max(2, v.length - 5))}${v.slice(-2)}`;
+}
+
+// 🟢 FRIEND'S FIX: Sequential fetching to prevent API rate-limit bans
+async function refreshTrackingRows(rows) {
+  for (const row of rows) {
+    if (!row.awb || row.last_state === 'DELIVERED' || row.last_state === 'RTO_DELIVERED') continue;
+    const safeAwb = String(row.awb || "").toUpperCase();
+    const isTestAwb = safeAwb.includes('TEST') || safeAwb.length < 5;
+    const lastCheck = row.last_checked_at ? new Date(row.last_checked_at).getTime() : 0;
+
+    if (!isTestAwb && Date.now() - lastCheck > 30 * 60 * 1000) {
+      const fresh = await forceRefreshShipment(row.awb, row.courier_source);
+      if (fresh) {
+        row.last_state = fresh.state;
+        row.last_status = fresh.status;
+        row.db_history = fresh.history;
+        row.raw_data = fresh.raw;
+      }
+      await new Promise(r => setTimeout(r, 400)); // Breathe for 400ms between live calls!
+    }
+  }
+  return rows;
+}
+
+function shapeTrackingRow(row) {
+  let history = [{ status: "Ordered", date: new Date(row.created_at).toDateString(), completed: true }];
+  if (row.fulfillment_status === 'fulfilled') {
+    history.push({ status: "Dispatched", date: "Order Packed", completed: true });
+  }
+  if (Array.isArray(row.db_history)) history = [...history, ...row.db_history];
+
+  let currentState = row.last_state || (row.fulfillment_status === 'fulfilled' ? "IN_TRANSIT" : "PROCESSING");
+
+  const historyStr = JSON.stringify(row.db_history || []).toUpperCase();
+  if (
+    row.financial_status === 'cancelled' ||
+    row.financial_status === 'voided' ||
+    row.financial_status === 'refunded' ||
+    row.last_status?.toUpperCase().includes('CANCEL') ||
+    historyStr.includes('CANCEL')
+  ) {
+    currentState = "CANCELLED";
+  }
+
+  // Courier's own promise, moved off Sundays/holidays and shown as the same band as /edd
+  const inFlight = !["DELIVERED", "RTO_IN_TRANSIT", "RTO_DELIVERED", "CANCELLED", "LOST", "DAMAGED"].includes(currentState);
+  const courierEdd = inFlight ? courierEddFromRaw(row.raw_data) : null;
+  const deliveryCtx = { state: row.dest_state?.toUpperCase() || null, courier: getCourier(row.courier_source)?.name || null };
+
+  return {
+    shopify_order_name: row.order_number,
+    awb: row.awb,
+    current_state: currentState,
+    courier: row.courier_source,
+    last_known_status: row.last_status || "Shipment info will be updated shortly",
+    expected_delivery: courierEdd ? formatConfidenceBand(courierEdd, 1, deliveryCtx) : null,
+    tracking_history: history
+  };
+}
+
+// Unverified callers see progress, not who ordered what or where the parcel is
+function maskTrackingResult(r) {
+  return {
+    ...r,
+    shopify_order_name: maskOrderNumber(r.shopify_order_name),
+    last_known_status: r.current_state.replace(/_/g, " "),
+    tracking_history: r.tracking_history.map(h => ({ status: h.status, date: h.date, completed: h.completed }))
+  };
+}
+
+app.post("/track/otp/request", async (req, res) => {
+  const ip = req.headers["x-forwarded-for"]?.split(",")[0] || req.socket.remoteAddress;
+  if (!checkRateLimit(ip)) return res.status(429).json({ error: "Too many requests" });
+
+  if (!TOKEN_SECRET) return res.status(503).json({ error: "Phone verification is not available" });
+  // Checked before the order lookup so every number gets the same answer
+  const provider = otpSmsProvider();
+  if (!provider) {
+    logEvent('ERROR', 'TRACKING', 'No SMS provider configured for OTPs');
+    return res.status(503).json({ error: "Phone verification is not available" });
+  }
+  const phone = normalizeIndianPhone(req.body?.phone);
+  if (!phone) return res.status(400).json({ error: "Valid phone number required" });
+  const digits = phone.slice(-10);
+
+  try {
+    const { rows: [recent] } = await pool.query(`
+      SELECT COUNT(*)::int AS n FROM tracking_otps WHERE phone = $1 AND created_at > NOW() - INTERVAL '15 minutes'
+    `, [digits]);
+    if (recent.n >= OTP_MAX_PER_WINDOW) return res.status(429).json({ error: "Too many codes requested, try again later" });
+
+    // Same answer whether or not the number has orders, so the endpoint can't be used to probe customers
+    const { rows: [known] } = await pool.query(`
+      SELECT 1 FROM orders_ops WHERE RIGHT(regexp_replace(customer_phone, '\\D', '', 'g'), 10) = $1 LIMIT 1
+    `, [digits]);
+    if (known) {
+      const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+      await pool.query(`
+        INSERT INTO tracking_otps (phone, code_hash, ip, expires_at) VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 second')
+      `, [digits, hashOtp(digits, code), ip, OTP_TTL_SECONDS]);
+      await provider.send({ to: phone, body: `${code} is your order tracking code. It expires in ${OTP_TTL_SECONDS / 60} minutes.` });
+    }
+    res.json({ sent: true, expires_in: OTP_TTL_SECONDS });
+  } catch (e) {
+    logEvent('ERROR', 'TRACKING', 'OTP send failed', { error: e.message });
+    res.status(500).json({ error: "Could not send code" });
+  }
+});
+
+app.post("/track/otp/verify", async (req, res) => {
+  const ip = req.headers["x-forwarded-for"]?.split(",")[0] || req.socket.remoteAddress;
+  if (!checkRateLimit(ip)) return res.status(429).json({ error: "Too many requests" });
+
+  if (!TOKEN_SECRET) return res.status(503).json({ error: "Phone verification is not available" });
+  const digits = normalizeIndianPhone(req.body?.phone)?.slice(-10);
+  const code = String(req.body?.otp || "").trim();
+  if (!digits || !/^\d{6}$/.test(code)) return res.status(400).json({ error: "phone and 6-digit otp required" });
+
+  try {
+    const { rows: [otp] } = await pool.query(`
+      UPDATE tracking_otps SET attempts = attempts + 1
+      WHERE id = (
+        SELECT id FROM tracking_otps
+        WHERE phone = $1 AND consumed_at IS NULL AND expires_at > NOW() AND attempts < $2
+        ORDER BY created_at DESC LIMIT 1
+      )
+      RETURNING id, code_hash
+    `, [digits, OTP_MAX_ATTEMPTS]);
+    const expected = otp ? Buffer.from(otp.code_hash) : null;
+    const given = Buffer.from(hashOtp(digits, code));
+    if (!expected || !crypto.timingSafeEqual(expected, given)) {
+      return res.status(401).json({ error: "Invalid or expired code" });
+    }
+
+    await pool.query(`UPDATE tracking_otps SET consumed_at = NOW() WHERE id = $1`, [otp.id]);
+    res.json({ session_token: signToken("track_session", { sub: `phone:${digits}` }, TRACKING_SESSION_TTL), expires_in: TRACKING_SESSION_TTL });
+  } catch (e) {
+    logEvent('ERROR', 'TRACKING', 'OTP verify failed', { error: e.message });
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// { phone } | { order_number, email } | { tracking_id / awb }
+app.post("/track/customer", async (req, res) => {
+  const ip = req.headers["x-forwarded-for"]?.split(",")[0] || req.socket.remoteAddress;
+  if (!checkRateLimit(ip)) return res.status(429).json({ error: "Too many requests" });
+
+  const { phone, order_number: orderNumber, email } = req.body || {};
+  const trackingId = String(req.body?.tracking_id || req.body?.awb || "").trim().replace(/[^a-zA-Z0-9-]/g, "");
+  if (!phone && !orderNumber && !trackingId) return res.status(400).json({ error: "Tracking ID required" });
+  const session = verifyToken(req.headers["x-tracking-session"] || req.body?.session_token, "track_session");
 
-  const city = await getCity(pincode);
+  try {
+    let rows = [];
+    let lookupPhone = phone;
+    let sessionToken = null;
+
+    if (trackingId) {
+      ({ rows } = await pool.query(`${CUSTOMER_TRACKING_SQL} WHERE s.awb ILIKE $1 ORDER BY o.created_at DESC LIMIT 5`, [trackingId]));
+      // Older clients send phone numbers in tracking_id
+      if (rows.length === 0 && /^(91)?\d{10}$/.test(trackingId)) lookupPhone = trackingId;
+    } else if (orderNumber) {
+      const name = String(orderNumber).trim().replace(/^#?/, "#");
+      ({ rows } = await pool.query(`${CUSTOMER_TRACKING_SQL} WHERE o.order_number = $1 ORDER BY o.created_at DESC LIMIT 5`, [name]));
+    }
+
+    if (lookupPhone && rows.length === 0) {
+      const digits = normalizeIndianPhone(lookupPhone)?.slice(-10);
+      if (!digits) return res.status(400).json({ error: "Valid phone number required" });
+      if (session?.sub !== `phone:${digits}`) {
+        return res.status(401).json({ error: "Verification required", verification_required: "otp", otp_request_url: "/track/otp/request" });
+      }
+      ({ rows } = await pool.query(`
+        ${CUSTOMER_TRACKING_SQL} WHERE RIGHT(regexp_replace(o.customer_phone, '\\D', '', 'g'), 10) = $1
+        ORDER BY o.created_at DESC LIMIT 5
+      `, [digits]));
+    }
+
+    // Verified when the session covers the order (its phone or the order itself), or the email matches
+    const emailMatches = !!email && rows.length > 0 && rows.every(r => r.customer_email && r.customer_email.toLowerCase() === String(email).trim().toLowerCase());
+    const covered = r => session && (session.sub === `phone:${r.phone_digits}` || session.sub === `order:${r.order_id}`);
+    const verified = rows.length > 0 && (emailMatches || rows.every(covered));
+    if (emailMatches && !rows.every(covered)) {
+      sessionToken = signToken("track_session", { sub: `order:${rows[0].order_id}` }, TRACKING_SESSION_TTL);
+    }
+    if (orderNumber && !verified) {
+      return res.status(401).json({ error: "Verification required", verification_required: "email" });
+    }
+
+    await refreshTrackingRows(rows);
+    const results = rows.map(shapeTrackingRow);
+    res.json({
+      orders: verified ? results : results.map(maskTrackingResult),
+      verified,
+      ...(sessionToken ? { session_token: sessionToken, expires_in: TRACKING_SESSION_TTL } : {})
+    });
+  } catch (e) {
+    logEvent('ERROR', 'TRACKING', 'Customer Track Error', { error: e.message });
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ===============================
+   🖥️ HOSTED TRACKING PAGE
+================================ */
+// /t/:token renders a plain HTML page (no client-side JS) for one order or one AWB. Tokens are
+// signed and expire after TRACKING_LINK_TTL_DAYS; notification templates can use {{tracking_url}}.
+const TRACKING_LINK_TTL = (parseFloat(TRACKING_LINK_TTL_DAYS) || 30) * 86400;
+const HEX_COLOR = /^#[0-9a-f]{3,8}$/i;
+const BRAND = {
+  name: clean(BRAND_NAME) || "Order Tracking",
+  logo: /^https:\/\//i.test(clean(BRAND_LOGO_URL) || "") ? clean(BRAND_LOGO_URL) : null,
+  primary: HEX_COLOR.test(clean(BRAND_PRIMARY_COLOR) || "") ? clean(BRAND_PRIMARY_COLOR) : "#1f2937",
+  accent: HEX_COLOR.test(clean(BRAND_ACCENT_COLOR) || "") ? clean(BRAND_ACCENT_COLOR) : "#16a34a"
+};
+const STATE_LABELS = {
+  PROCESSING: "Processing", IN_TRANSIT: "In transit", OUT_FOR_DELIVERY: "Out for delivery", NDR: "Delivery attempted",
+  DELIVERED: "Delivered", RTO_IN_TRANSIT: "Returning to seller", RTO_DELIVERED: "Returned to seller",
+  CANCELLED: "Cancelled", LOST: "Lost in transit", DAMAGED: "Damaged in transit"
+};
+
+// ref: "order:<shopify order id>" or "awb:<awb>". null when PUBLIC_BASE_URL is not configured.
+function trackingLinkFor(ref, ttlSeconds = TRACKING_LINK_TTL) {
+  const base = clean(PUBLIC_BASE_URL);
+  if (!base || !TOKEN_SECRET) return null;
+  return `${base.replace(/\/$/, "")}/t/${signToken("track_link", { ref }, ttlSeconds)}`;
+}
+
+function escapeHtml(v) {
+  return String(v ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+function renderTrackingPage({ title, body }) {
+  return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex"><title>${escapeHtml(title)} · ${escapeHtml(BRAND.name)}</title>
+<style>
+  body { margin: 0; font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; background: #f5f5f4; color: #1c1917; }
+  header { background: ${BRAND.primary}; color: #fff; padding: 16px 20px; display: flex; align-items: center; gap: 12px; }
+  header img { max-height: 36px; }
+  main { max-width: 640px; margin: 0 auto; padding: 16px; }
+  .card { background: #fff; border-radius: 10px; padding: 18px 20px; margin-bottom: 16px; box-shadow: 0 1px 3px rgba(0,0,0,.08); }
+  .state { display: inline-block; background: ${BRAND.accent}; color: #fff; border-radius: 999px; padding: 4px 12px; font-weight: 600; }
+  .muted { color: #78716c; font-size: 14px; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 6px 16px; margin: 14px 0 0; }
+  dt { color: #78716c; } dd { margin: 0; font-weight: 500; }
+  ol { list-style: none; padding: 0; margin: 16px 0 0; border-left: 2px solid #e7e5e4; }
+  li { position: relative; padding: 0 0 14px 18px; }
+  li::before { content: ""; position: absolute; left: -7px; top: 4px; width: 12px; height: 12px; border-radius: 50%; background: #d6d3d1; }
+  li.done::before { background: ${BRAND.accent}; }
+</style></head>
+<body><header>${BRAND.logo ? `<img src="${escapeHtml(BRAND.logo)}" alt="">` : ""}<strong>${escapeHtml(BRAND.name)}</strong></header>
+<main>${body}</main></body></html>`;
+}
+
+function renderShipmentCard(r, returnStatus) {
+  const facts = [
+    ["Order", r.shopify_order_name],
+    ["Courier", getCourier(r.courier)?.label || r.courier],
+    ["AWB", r.awb],
+    ["Expected delivery", r.expected_delivery],
+    ["Return", returnStatus]
+  ].filter(([, v]) => v);
+  const timeline = r.tracking_history.map(h => `
+    <li class="${h.completed !== false ? "done" : ""}"><div>${escapeHtml(h.status)}</div>
+    <div class="muted">${escapeHtml([h.date, h.location].filter(Boolean).join(" · "))}</div></li>`).join("");
+  return `<section class="card">
+    <span class="state">${escapeHtml(STATE_LABELS[r.current_state] || r.current_state)}</span>
+    <p class="muted">${escapeHtml(r.last_known_status)}</p>
+    <dl>${facts.map(([k, v]) => `<dt>${escapeHtml(k)}</dt><dd>${escapeHtml(v)}</dd>`).join("")}</dl>
+    <ol>${timeline}</ol>
+  </section>`;
+}
+
+app.get("/t/:token", async (req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.setHeader("Referrer-Policy", "no-referrer");
+  res.setHeader("X-Robots-Tag", "noindex");
+  res.setHeader("Content-Security-Policy", "default-src 'none'; img-src https:; style-src 'unsafe-inline'");
+
+  const claims = verifyToken(req.params.token, "track_link");
+  const [kind, id] = String(claims?.ref || "").split(/:(.+)/);
+  if (!claims || !["order", "awb"].includes(kind) || !id) {
+    return res.status(410).type("html").send(renderTrackingPage({
+      title: "Link expired",
+      body: `<section class="card"><h2>This tracking link has expired</h2><p class="muted">Please use the latest link from your order messages.</p></section>`
+    }));
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `${CUSTOMER_TRACKING_SQL} WHERE ${kind === "order" ? "o.id = $1" : "s.awb = $1"} ORDER BY s.awb NULLS LAST`,
+      [id]
+    );
+    if (rows.length === 0) {
+      return res.status(404).type("html").send(renderTrackingPage({
+        title: "Not found",
+        body: `<section class="card"><h2>We couldn't find this order</h2></section>`
+      }));
+    }
+
+    await refreshTrackingRows(rows);
+    const { rows: [ret] } = await pool.query(
+      `SELECT status FROM returns_ops WHERE order_number = $1 ORDER BY updated_at DESC LIMIT 1`, [rows[0].order_number]
+    );
+    const results = rows.map(shapeTrackingRow);
+    res.type("html").send(renderTrackingPage({
+      title: `Order ${results[0].shopify_order_name}`,
+      body: results.map(r => renderShipmentCard(r, ret?.status)).join("")
+    }));
+  } catch (e) {
+    logEvent('ERROR', 'TRACKING', 'Tracking page failed', { error: e.message });
+    res.status(500).type("html").send(renderTrackingPage({
+      title: "Unavailable",
+      body: `<section class="card"><h2>Tracking is temporarily unavailable</h2><p class="muted">Please try again in a few minutes.</p></section>`
+    }));
+  }
+});
+
+// { order_id } or { awb }, optional ttl_days. For support agents sharing a link by hand.
+app.post("/admin/tracking-links", async (req, res) => {
+  if (!(await verifyAdmin(req, "ops:read"))) return res.status(403).json({ error: "Unauthorized" });
+  const { order_id: orderId, awb, ttl_days: ttlDays } = req.body || {};
+  if (!orderId && !awb) return res.status(400).json({ error: "order_id or awb required" });
+  if (!clean(PUBLIC_BASE_URL)) return res.status(400).json({ error: "PUBLIC_BASE_URL is not configured" });
+  if (!TOKEN_SECRET) return res.status(400).json({ error: "TRACKING_TOKEN_SECRET is not configured" });
+  const ttl = Math.min(parseFloat(ttlDays) || TRACKING_LINK_TTL / 86400, 180) * 86400;
+  res.json({ url: trackingLinkFor(orderId ? `order:${orderId}` : `awb:${awb}`, ttl), expires_in: ttl });
+});
+
+/* ===============================
+   🎉 HOLIDAY CALENDAR
+================================ */
+// National, state and courier holidays. The next ~13 months are kept in memory so the date
+// helpers above stay synchronous; the table is re-read every 30 minutes and after every edit.
+const HOLIDAY_SCOPES = ["national", "state", "courier"];
+let holidayIndex = new Map(); // "YYYY-MM-DD" → holiday rows
+
+function dateKey(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+// ctx: { state, courier, kind: "pickup" | "delivery" }
+function holidayOn(d, ctx = {}) {
+  const rows = holidayIndex.get(dateKey(d));
+  if (!rows) return null;
+  return rows.find(h =>
+    (ctx.kind === "pickup" ? h.no_pickup : h.no_delivery) && (
+      h.scope === "national" ||
+      (h.scope === "state" && ctx.state && h.region === ctx.state) ||
+      (h.scope === "courier" && ctx.courier && h.courier === ctx.courier)
+    )
+  ) || null;
+}
+
+async function loadHolidays() {
+  try {
+    const { rows } = await pool.query(`
+      SELECT to_char(holiday_date, 'YYYY-MM-DD') AS day, name, scope, region, courier, no_pickup, no_delivery
+      FROM holidays WHERE holiday_date BETWEEN CURRENT_DATE - 7 AND CURRENT_DATE + 400
+    `);
+    const index = new Map();
+    for (const r of rows) {
+      if (!index.has(r.day)) index.set(r.day, []);
+      index.get(r.day).push(r);
+    }
+    holidayIndex = index;
+  } catch (e) {
+    logEvent('WARN', 'HOLIDAYS', 'Could not load holiday calendar, keeping previous one', { error: e.message });
+  }
+}
+
+// YYYY-MM-DD, DD-MM-YYYY, DD/MM/YYYY or the ICS form YYYYMMDD → "YYYY-MM-DD"
+function parseHolidayDate(v) {
+  const t = String(v || "").trim();
+  let m = t.match(/^(\d{4})-(\d{2})-(\d{2})$/) || t.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = t.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/);
+  if (m) return `${m[3]}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+  return null;
+}
+
+function parseBoolField(v, fallback = true) {
+  if (v === undefined || v === null || v === "") return fallback;
+  return !/^(0|false|no|n)$/i.test(String(v).trim());
+}
+
+// Minimal iCalendar reader: all-day VEVENTs (DTSTART;VALUE=DATE) with an exclusive DTEND
+function parseIcsHolidays(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const out = [];
+  let ev = null;
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") ev = {};
+    else if (line === "END:VEVENT") {
+      const start = parseHolidayDate(ev?.DTSTART?.slice(0, 8));
+      if (start) {
+        const end = parseHolidayDate(ev.DTEND?.slice(0, 8));
+        const d = new Date(`${start}T00:00:00Z`);
+        const last = end ? new Date(new Date(`${end}T00:00:00Z`).getTime() - 86400000) : d;
+        for (let i = 0; d <= last && i < 31; i++, d.setUTCDate(d.getUTCDate() + 1)) {
+          out.push({ date: d.toISOString().slice(0, 10), name: (ev.SUMMARY || "").replace(/\\([,;\\])/g, "$1") });
+        }
+      }
+      ev = null;
+    } else if (ev) {
+      const idx = line.indexOf(":");
+      if (idx > 0) ev[line.slice(0, idx).split(";")[0].toUpperCase()] = line.slice(idx + 1).trim();
+    }
+  }
+  return out;
+}
+
+function normalizeHoliday(h, defaults = {}) {
+  const scope = (h.scope || defaults.scope || "national").toLowerCase();
+  const row = {
+    date: parseHolidayDate(h.date || h.holiday_date),
+    name: h.name || h.holiday || null,
+    scope,
+    region: scope === "state" ? String(h.region || h.state || defaults.region || "").toUpperCase() : "",
+    courier: scope === "courier" ? String(h.courier || defaults.courier || "").toLowerCase() : "",
+    no_pickup: parseBoolField(h.no_pickup),
+    no_delivery: parseBoolField(h.no_delivery)
+  };
+  if (!row.date) return { error: `Invalid date: ${h.date || h.holiday_date || "(empty)"}` };
+  if (!HOLIDAY_SCOPES.includes(scope)) return { error: `Unknown scope: ${scope}` };
+  if (scope === "state" && !row.region) return { error: `State holiday ${row.date} needs a region` };
+  if (scope === "courier" && !courierAdapters.has(row.courier)) return { error: `Unknown courier: ${row.courier}` };
+  return { row };
+}
+
+async function upsertHolidays(rows, source) {
+  // Last one wins within a batch, otherwise ON CONFLICT would hit the same row twice
+  const unique = new Map(rows.map(r => [`${r.date}|${r.scope}|${r.region}|${r.courier}`, r]));
+  const list = [...unique.values()];
+  if (list.length === 0) return 0;
+  const r = await pool.query(`
+    INSERT INTO holidays (holiday_date, name, scope, region, courier, no_pickup, no_delivery, source)
+    SELECT *, $8::text FROM unnest($1::date[], $2::text[], $3::text[], $4::text[], $5::text[], $6::boolean[], $7::boolean[])
+    ON CONFLICT (holiday_date, scope, region, courier) DO UPDATE SET
+      name = EXCLUDED.name, no_pickup = EXCLUDED.no_pickup, no_delivery = EXCLUDED.no_delivery, source = EXCLUDED.source
+  `, [
+    list.map(r => r.date), list.map(r => r.name), list.map(r => r.scope), list.map(r => r.region),
+    list.map(r => r.courier), list.map(r => r.no_pickup), list.map(r => r.no_delivery), source
+  ]);
+  await loadHolidays();
+  eddCache.clear();
+  return r.rowCount;
+}
+
+app.get("/admin/holidays", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  const { from, to, scope, region, courier } = req.query;
+  try {
+    const { rows } = await pool.query(`
+      SELECT id, to_char(holiday_date, 'YYYY-MM-DD') AS date, name, scope, region, courier, no_pickup, no_delivery, source
+      FROM holidays
+      WHERE holiday_date >= COALESCE($1::date, CURRENT_DATE) AND holiday_date <= COALESCE($2::date, CURRENT_DATE + 365)
+        AND ($3::text IS NULL OR scope = $3) AND ($4::text IS NULL OR region = $4) AND ($5::text IS NULL OR courier = $5)
+      ORDER BY holiday_date, scope
+    `, [parseHolidayDate(from), parseHolidayDate(to), scope || null, region?.toUpperCase() || null, courier || null]);
+    res.json({ holidays: rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// { holidays: [{ date, name, scope, region, courier, no_pickup, no_delivery }] }
+app.post("/admin/holidays", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  const input = Array.isArray(req.body?.holidays) ? req.body.holidays : [req.body || {}];
+  const parsed = input.map(h => normalizeHoliday(h));
+  const errors = parsed.filter(p => p.error).map(p => p.error);
+  if (errors.length) return res.status(400).json({ error: "Invalid holidays", details: errors.slice(0, 20) });
+
+  try {
+    const saved = await upsertHolidays(parsed.map(p => p.row), "manual");
+    logEvent('INFO', 'HOLIDAYS', `Saved ${saved} holidays`);
+    res.json({ saved });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// { format: "csv" | "ics", content, scope?, region?, courier? }
+// CSV needs a header row: date,name,scope,region,courier,no_pickup,no_delivery (only date is required).
+// ICS events take scope/region/courier from the request body.
+app.post("/admin/holidays/import", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  const { format = "csv", content, scope, region, courier } = req.body || {};
+  if (typeof content !== "string" || !content.trim()) return res.status(400).json({ error: "content required" });
+  if (!["csv", "ics"].includes(format)) return res.status(400).json({ error: "format must be csv or ics" });
+
+  const defaults = { scope, region, courier };
+  const entries = format === "ics" ? parseIcsHolidays(content) : parseCsv(content);
+  const parsed = entries.map(h => normalizeHoliday(h, defaults));
+  const rows = parsed.filter(p => p.row).map(p => p.row);
+  const errors = parsed.filter(p => p.error).map(p => p.error);
+
+  try {
+    const saved = await upsertHolidays(rows, `import:${format}`);
+    logEvent('INFO', 'HOLIDAYS', `Imported ${saved} holidays from ${format.toUpperCase()}`, { skipped: errors.length });
+    res.json({ imported: saved, skipped: errors.length, errors: errors.slice(0, 20) });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post("/admin/holidays/:id/delete", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const r = await pool.query(`DELETE FROM holidays WHERE id = $1`, [req.params.id]);
+    if (r.rowCount === 0) return res.status(404).json({ error: "Holiday not found" });
+    await loadHolidays();
+    eddCache.clear();
+    res.json({ success: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/* ===============================
+   🏭 WAREHOUSES
+================================ */
+// Active origins in priority order, refreshed from the warehouses table every few minutes.
+// working_days uses JS getDay() numbering (0 = Sunday); couriers / skus NULL means "all".
+let warehouses = [DEFAULT_WAREHOUSE];
+
+async function loadWarehouses() {
+  try {
+    const { rows } = await pool.query(`
+      SELECT code, name, pincode, state_code, pickup_cutoff, working_days, couriers, skus, shopify_location_id
+      FROM warehouses WHERE active ORDER BY priority, id
+    `);
+    warehouses = rows.length ? rows : [DEFAULT_WAREHOUSE];
+  } catch (e) {
+    logEvent('WARN', 'WAREHOUSE', 'Could not load warehouses, keeping previous list', { error: e.message });
+  }
+}
+
+function warehouseServesSkus(w, skus) {
+  if (!skus?.length || !w.skus) return true;
+  return skus.every(sku => w.skus.includes(sku));
+}
+
+app.get("/admin/warehouses", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const { rows } = await pool.query(`SELECT * FROM warehouses ORDER BY priority, id`);
+    res.json({ warehouses: rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Upsert by code
+app.post("/admin/warehouses", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  const { code, name, pincode, state_code: stateCode = null, pickup_cutoff: cutoff = "14:00", working_days: workingDays = [1, 2, 3, 4, 5, 6],
+    couriers = null, skus = null, shopify_location_id: locationId = null, priority = 100 } = req.body || {};
+  if (!/^[a-z0-9_-]+$/i.test(code || "")) return res.status(400).json({ error: "code required (letters, digits, - and _)" });
+  if (!/^\d{6}$/.test(pincode || "")) return res.status(400).json({ error: "Valid 6-digit pincode required" });
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(cutoff)) return res.status(400).json({ error: "pickup_cutoff must be HH:MM" });
+  if (!Array.isArray(workingDays) || workingDays.length === 0 || workingDays.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+    return res.status(400).json({ error: "working_days must be day numbers 0-6 (0 = Sunday)" });
+  }
+  const unknown = (couriers || []).filter(c => !courierAdapters.has(c));
+  if (unknown.length) return res.status(400).json({ error: `Unknown couriers: ${unknown.join(", ")}` });
+
+  try {
+    const { rows } = await pool.query(`
+      INSERT INTO warehouses (code, name, pincode, pickup_cutoff, working_days, couriers, skus, shopify_location_id, priority, state_code, active)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, TRUE)
+      ON CONFLICT (code) DO UPDATE SET name = EXCLUDED.name, pincode = EXCLUDED.pincode, state_code = EXCLUDED.state_code,
+        pickup_cutoff = EXCLUDED.pickup_cutoff, working_days = EXCLUDED.working_days, couriers = EXCLUDED.couriers,
+        skus = EXCLUDED.skus, shopify_location_id = EXCLUDED.shopify_location_id, priority = EXCLUDED.priority, active = TRUE
+      RETURNING *
+    `, [code, name || code, pincode, cutoff, workingDays, couriers, skus,
+        locationId ? String(locationId) : null, parseInt(priority) || 100, stateCode ? String(stateCode).toUpperCase() : null]);
+    clearEddCacheFor(code);
+    await loadWarehouses();
+    logEvent('INFO', 'WAREHOUSE', `Warehouse ${code} saved`, { pincode, cutoff });
+    res.json({ warehouse: rows[0] });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post("/admin/warehouses/:code/deactivate", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const r = await pool.query(`UPDATE warehouses SET active = FALSE WHERE code = $1`, [req.params.code]);
+    if (r.rowCount === 0) return res.status(404).json({ error: "Warehouse not found" });
+    clearEddCacheFor(req.params.code);
+    await loadWarehouses();
+    res.json({ success: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/* ===============================
+   📈 LANE STATISTICS
+================================ */
+// Real pickup-to-delivery transit per lane, from delivered shipments of the last 90 days.
+// Pickup = first scan we stored, delivery = transition into DELIVERED (or the last scan).
+// The origin is the warehouse matching the fulfillment's Shopify location, else the default origin.
+// Lanes exist at two levels: the destination pincode and its district in the pincode master, each
+// per courier and across all couriers (courier = '*'). District names repeat across states, so the
+// district key is "STATE_CODE:District"; pincodes missing from the master only get pincode lanes.
+const LANE_MIN_SAMPLES = { pincode: 5, district: 10 };
+const LANE_BLEND_K = 10; // lane weight = samples / (samples + K)
+
+// District lane key of the pincode in the given query parameter (NULL when it's not in the master)
+const laneDistrictKeySql = param => `(SELECT state_code || ':' || district FROM pincodes WHERE pincode = ${param})`;
+
+async function rebuildLaneStats() {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query(`DELETE FROM lane_stats`);
+    const r = await client.query(`
+      WITH deliveries AS (
+        SELECT COALESCE(w.pincode, $1) AS origin, s.courier_source AS courier, o.shipping_address->>'zip' AS pincode,
+          (SELECT MIN(scanned_at) FROM shipment_events e WHERE e.awb = s.awb) AS picked_at,
+          COALESCE(
+            (SELECT MIN(transitioned_at) FROM shipment_transitions t WHERE t.awb = s.awb AND t.to_state = 'DELIVERED'),
+            (SELECT MAX(scanned_at) FROM shipment_events e WHERE e.awb = s.awb)
+          ) AS delivered_at
+        FROM shipments_ops s JOIN orders_ops o ON o.id = s.order_id
+        LEFT JOIN warehouses w ON w.shopify_location_id = s.origin_location_id
+        WHERE s.last_state = 'DELIVERED' AND s.last_checked_at > NOW() - INTERVAL '90 days'
+      ), lanes AS (
+        SELECT origin, courier, d.pincode, p.state_code || ':' || p.district AS district,
+          EXTRACT(EPOCH FROM delivered_at - picked_at) / 86400.0 AS days
+        FROM deliveries d LEFT JOIN pincodes p ON p.pincode = d.pincode
+        WHERE picked_at IS NOT NULL AND delivered_at > picked_at AND d.pincode ~ '^[0-9]{6}$'
+      ), filtered AS (
+        SELECT * FROM lanes WHERE days <= 30
+      )
+      INSERT INTO lane_stats (origin_pincode, dest_level, dest_key, courier, samples, mean_days, stddev_days, p50_days, p90_days)
+      SELECT origin, 'pincode', pincode, COALESCE(courier, '*'), COUNT(*), AVG(days), COALESCE(STDDEV_SAMP(days), 0),
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY days), percentile_cont(0.9) WITHIN GROUP (ORDER BY days)
+      FROM filtered GROUP BY GROUPING SETS ((origin, pincode, courier), (origin, pincode))
+      UNION ALL
+      SELECT origin, 'district', district, COALESCE(courier, '*'), COUNT(*), AVG(days), COALESCE(STDDEV_SAMP(days), 0),
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY days), percentile_cont(0.9) WITHIN GROUP (ORDER BY days)
+      FROM filtered WHERE district IS NOT NULL GROUP BY GROUPING SETS ((origin, district, courier), (origin, district))
+    `, [DEFAULT_ORIGIN_PINCODE]);
+    await client.query("COMMIT");
+    logEvent('INFO', 'LANE_STATS', `Rebuilt ${r.rowCount} lane rows`);
+    return r.rowCount;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Most specific lane with enough samples: pincode+courier, pincode, district+courier, district
+async function findLaneStats(origin, pincode, courier) {
+  const rows = await eddLookups.laneRows(origin, pincode, courier);
+
+  const order = [["pincode", courier], ["pincode", "*"], ["district", courier], ["district", "*"]];
+  for (const [level, c] of order) {
+    const hit = rows.find(r => r.dest_level === level && r.courier === c && r.samples >= LANE_MIN_SAMPLES[level]);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+// Band width follows the lane's spread: tight lanes keep the 2-day band, noisy ones get wider
+function laneSpreadDays(lane) {
+  if (!lane) return 1;
+  if (lane.stddev_days <= 0.75) return 1;
+  if (lane.stddev_days <= 1.5) return 2;
+  return 3;
+}
+
+// Blends the courier's promise with the lane median. Returns { date, method, lane } or null.
+async function blendEddWithLane(rawDate, pincode, courier, origin = DEFAULT_WAREHOUSE) {
+  const pickup = nextPickupDate(origin, nowIST(), courier);
+  const courierDate = parseEddDate(rawDate);
+  let lane = null;
+  try {
+    lane = await findLaneStats(origin.pincode, pincode, courier);
+  } catch (e) {
+    logEvent('WARN', 'LANE_STATS', 'Lane lookup failed', { pincode, error: e.message });
+  }
+
+  if (!lane) return courierDate ? { date: courierDate, method: "courier", lane: null } : null;
+
+  const laneDays = lane.p50_days;
+  let days = laneDays;
+  let method = "lane";
+  if (courierDate) {
+    const courierDays = (courierDate - pickup) / 86400000;
+    const w = lane.samples / (lane.samples + LANE_BLEND_K);
+    days = w * laneDays + (1 - w) * courierDays;
+    method = "blended";
+  }
+  return { date: new Date(pickup.getTime() + Math.round(days) * 86400000), method, lane };
+}
+
+app.get("/admin/lane-stats", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  const { pincode, courier, level } = req.query;
+  try {
+    const { rows } = await pool.query(`
+      SELECT * FROM lane_stats
+      WHERE ($1::text IS NULL OR dest_key = $1 OR dest_key = ${laneDistrictKeySql("$1")})
+        AND ($2::text IS NULL OR courier = $2)
+        AND ($3::text IS NULL OR dest_level = $3)
+      ORDER BY samples DESC LIMIT 500
+    `, [pincode || null, courier || null, level || null]);
+    res.json({ lanes: rows, min_samples: LANE_MIN_SAMPLES });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post("/admin/lane-stats/rebuild", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:sync"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const { job, created } = await enqueueJob("rebuild_lane_stats", {}, "rebuild_lane_stats");
+    res.status(created ? 200 : 409).json({ job_id: job?.id, status_url: `/ops/jobs/${job?.id}`, already_running: !created });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/* ===============================
+   🚚 EDD ENDPOINT
+================================ */
+// What /edd reads besides the courier APIs: pincode master rows, the live India Post API and lane history.
+// Tests swap these for fixtures with useEddLookups so /edd runs without a database or network.
+const eddLookups = {
+  pincodeRow: async p => {
+    const { rows } = await pool.query(`SELECT district, state_code, tier, serviceable FROM pincodes WHERE pincode = $1`, [p]);
+    return rows[0] || null;
+  },
+  livePincode: async p => (await axios.get(`https://api.postalpincode.in/pincode/${p}`, { timeout: 5000 })).data,
+  laneRows: async (origin, pincode, courier) => {
+    const { rows } = await pool.query(`
+      SELECT dest_level, dest_key, courier, samples, mean_days::float, stddev_days::float, p50_days::float, p90_days::float
+      FROM lane_stats
+      WHERE origin_pincode = $1
+        AND ((dest_level = 'pincode' AND dest_key = $2) OR (dest_level = 'district' AND dest_key = ${laneDistrictKeySql("$2")}))
+        AND courier IN ($3, '*')
+    `, [origin, pincode, courier || '*']);
+    return rows;
+  }
+};
+
+function useEddLookups(overrides) {
+  Object.assign(eddLookups, overrides);
+}
+
+// Courier/lane EDD for one warehouse. Cached per origin + pincode until that warehouse's cutoff rolls over.
+async function eddForWarehouse(w, pincode, place) {
+  const key = `${w.code}:${pincode}`;
+  if (eddCache.has(key)) {
+    incCounter("edd_cache_lookups_total", { result: "hit" });
+    return eddCache.get(key);
+  }
+  incCounter("edd_cache_lookups_total", { result: "miss" });
+
+  let rawDate = null;
+  let source = null;
+  let sourceCourier = null;
+  const eddAdapters = [...courierAdapters.values()]
+    .filter(a => a.predictEDD && a.isConfigured())
+    .filter(a => !w.couriers?.length || w.couriers.includes(a.name))
+    .sort((a, b) => a.eddRank - b.eddRank);
+
+  for (const adapter of eddAdapters) {
+    if (isCircuitOpen(adapter.name)) continue;
+    rawDate = await adapter.predictEDD(pincode, w);
+    if (rawDate) { source = adapter.label; sourceCourier = adapter.name; break; }
+  }
+
+  // Lane history can stand in for the couriers when none of them answered
+  const blended = await blendEddWithLane(rawDate, pincode, sourceCourier, w);
+  if (!blended) return null;
+
+  // Land on a day the courier actually delivers in the destination state
+  const courier = sourceCourier || (blended.lane?.courier !== "*" ? blended.lane?.courier : null);
+  const deliveryCtx = { state: place.state, courier };
+  const entry = { ...blended, date: nextDeliveryDay(blended.date, deliveryCtx), deliveryCtx, source: source || "History" };
+  const EDD_CACHE_MAX = 500;
+  if (eddCache.size >= EDD_CACHE_MAX) {
+    eddCache.delete(eddCache.keys().next().value);
+  }
+  eddCache.set(key, entry);
+  return entry;
+}
+
+// Fastest origin for a pincode; ties go to the warehouse listed first (priority order).
+// Shared by /edd and /serviceability so both quote from the same warehouse.
+async function fastestWarehouse(candidates, pincode, place) {
+  const results = await Promise.all(candidates.map(w => eddForWarehouse(w, pincode, place).catch(e => {
+    logEvent('WARN', 'EDD', `EDD failed for warehouse ${w.code}`, { pincode, error: e.message });
+    return null;
+  })));
+  let best = -1;
+  results.forEach((r, idx) => { if (r && (best < 0 || r.date < results[best].date)) best = idx; });
+  return best < 0 ? null : { w: candidates[best], edd: results[best] };
+}
+
+app.post("/edd", async (req, res) => {
+  const { pincode, skus, origin } = req.body;
+  if (!/^\d{6}$/.test(pincode)) return res.json({ edd_display: null });
+
+  // Only warehouses that stock every requested SKU, or just the forced one
+  let candidates = warehouses.filter(w => warehouseServesSkus(w, Array.isArray(skus) ? skus : null));
+  if (origin) {
+    if (!warehouses.some(w => w.code === origin)) return res.status(400).json({ error: `Unknown warehouse: ${origin}` });
+    candidates = candidates.filter(w => w.code === origin);
+  }
+  if (candidates.length === 0) return res.json({ edd_display: null, warehouse: null });
+
+  const place = await getPincodeInfo(pincode);
+  if (place.serviceable === false) return res.json({ edd_display: null, city: place.city, serviceable: false });
+
+  const pick = await fastestWarehouse(candidates, pincode, place);
+  if (!pick) return res.json({ edd_display: null });
+  const { w, edd } = pick;
+  const band = confidenceBandDates(edd.date.toISOString(), laneSpreadDays(edd.lane), edd.deliveryCtx);
+  res.json({
+    edd_display: formatConfidenceBand(edd.date.toISOString(), laneSpreadDays(edd.lane), edd.deliveryCtx),
+    // Checkout stores these as cart attributes (edd_from / edd_to) so the promise can be audited later
+    edd_from: band ? dateKey(band.start) : null,
+    edd_to: band ? dateKey(band.end) : null,
+    city: place.city,
+    badge: place.tier === "metro" ? "METRO_EXPRESS" : "EXPRESS",
+    tier: place.tier,
+    source: edd.source,
+    edd_method: edd.method,
+    lane: edd.lane ? {
+      level: edd.lane.dest_level,
+      courier: edd.lane.courier,
+      sample_size: edd.lane.samples,
+      median_days: +edd.lane.p50_days.toFixed(1),
+      stddev_days: +edd.lane.stddev_days.toFixed(2)
+    } : null,
+    warehouse: { code: w.code, name: w.name, pincode: w.pincode }
+  });
+});
+
+/* ===============================
+   🧭 CHECKOUT SERVICEABILITY
+================================ */
+// Courier options, rates and COD availability per pincode for checkout and product pages.
+// Cached separately from /edd because results depend on weight and payment mode too.
+const SERVICEABILITY_TTL_MS = 6 * 60 * 60 * 1000;
+const SERVICEABILITY_CACHE_MAX = 2000;
+const SERVICEABILITY_BATCH_MAX = 50;
+const SERVICEABILITY_PUBLIC_BATCH_MAX = 5; // callers without an API key
+const serviceabilityCache = new Map();
+let codRules = [];
+
+async function loadCodRules() {
+  try {
+    const { rows } = await pool.query(`SELECT id, pattern, reason, max_order_value::float FROM cod_rules WHERE active`);
+    codRules = rows;
+  } catch (e) {
+    logEvent('WARN', 'SERVICEABILITY', 'Could not load COD rules, keeping previous list', { error: e.message });
+  }
+}
+
+function codRuleFor(pincode, orderValue) {
+  return codRules.find(r => {
+    const hit = r.pattern.endsWith("*") ? pincode.startsWith(r.pattern.slice(0, -1)) : pincode === r.pattern;
+    if (!hit) return false;
+    return r.max_order_value == null || (orderValue != null && orderValue > r.max_order_value);
+  }) || null;
+}
+
+// Courier options are cached per origin, pincode, half-kilo weight slab and payment mode
+async function courierOptionsFor(w, pincode, weight, cod) {
+  const key = `${w.code}:${pincode}:${weight}:${cod ? "cod" : "prepaid"}`;
+  const hit = serviceabilityCache.get(key);
+  if (hit && Date.now() - hit.at < SERVICEABILITY_TTL_MS) return hit.options;
+
+  const adapters = [...courierAdapters.values()]
+    .filter(a => a.serviceability && a.isConfigured() && !isCircuitOpen(a.name))
+    .filter(a => !w.couriers?.length || w.couriers.includes(a.name));
+  const answers = await Promise.all(adapters.map(a => a.serviceability(pincode, w, { weight, cod })));
+  if (answers.every(a => a === null)) return null; // don't cache an outage
+
+  const options = answers.flatMap((list, i) => (list || []).map(o => ({ ...o, via: adapters[i].name })));
+  if (serviceabilityCache.size >= SERVICEABILITY_CACHE_MAX) {
+    serviceabilityCache.delete(serviceabilityCache.keys().next().value);
+  }
+  serviceabilityCache.set(key, { at: Date.now(), options });
+  return options;
+}
+
+async function checkServiceability(pincode, { weight, paymentMode, orderValue, w }) {
+  const wantsCod = paymentMode === "cod";
+  const options = await courierOptionsFor(w, pincode, weight, wantsCod);
+  if (options === null) return { pincode, serviceable: null, error: "Serviceability lookup failed" };
+
+  const rule = codRuleFor(pincode, orderValue);
+  const codAvailable = !rule && options.some(o => o.cod);
+  const usable = wantsCod ? (codAvailable ? options.filter(o => o.cod) : []) : options;
+  const shaped = usable.map(o => ({
+    courier: o.courier,
+    via: o.via,
+    rate: o.rate != null && wantsCod ? +(o.rate + o.cod_charges).toFixed(2) : o.rate,
+    etd_days: o.etd_days,
+    edd_display: o.etd ? formatConfidenceBand(o.etd, 1, { courier: o.via }) : null,
+    cod: o.cod,
+    surface: o.surface
+  }));
+
+  const byRate = shaped.filter(o => o.rate != null).sort((a, b) => a.rate - b.rate);
+  const byEta = shaped.filter(o => o.etd_days != null).sort((a, b) => a.etd_days - b.etd_days || (a.rate ?? Infinity) - (b.rate ?? Infinity));
+  return {
+    pincode,
+    serviceable: shaped.length > 0,
+    cod_available: codAvailable,
+    cod_block_reason: rule ? (rule.reason || "COD not available for this pincode") : null,
+    options: shaped,
+    cheapest: byRate[0] || null,
+    fastest: byEta[0] || null
+  };
+}
+
+// { pincode } or { pincodes: [...] }, plus weight (kg), payment_mode (prepaid | cod), order_value, skus, origin.
+// Without an API key (any scope) batches are capped lower and each pincode counts against the rate limit.
+app.post("/serviceability", async (req, res) => {
+  const ip = req.headers["x-forwarded-for"]?.split(",")[0] || req.socket.remoteAddress;
+  const rawKey = presentedAdminKey(req);
+  const apiKey = rawKey ? await resolveApiKey(rawKey).catch(() => null) : null;
+
+  const { pincode, pincodes, weight, payment_mode: paymentMode = "prepaid", order_value: orderValue, skus, origin } = req.body || {};
+  const list = [...new Set((Array.isArray(pincodes) ? pincodes : [pincode]).map(p => String(p || "").trim()))];
+  const batchMax = apiKey ? SERVICEABILITY_BATCH_MAX : SERVICEABILITY_PUBLIC_BATCH_MAX;
+  if (!checkRateLimit(ip, apiKey ? 1 : Math.min(Math.max(list.length, 1), batchMax))) {
+    return res.status(429).json({ error: "Too many requests" });
+  }
+  if (list.length === 0 || list.length > batchMax) {
+    return res.status(400).json({ error: `Between 1 and ${batchMax} pincodes required` });
+  }
+  if (!["prepaid", "cod"].includes(paymentMode)) return res.status(400).json({ error: "payment_mode must be prepaid or cod" });
+
+  // Round up to the next half kilo, which is how couriers slab their rates
+  const kg = Math.max(0.5, Math.ceil((parseFloat(weight) || 0.5) * 2) / 2);
+  let candidates = warehouses.filter(w => warehouseServesSkus(w, Array.isArray(skus) ? skus : null));
+  if (origin) candidates = candidates.filter(w => w.code === origin);
+  if (candidates.length === 0) return res.status(400).json({ error: "No warehouse can ship these items" });
+
+  // Same origin /edd would promise from; with one candidate there is nothing to choose. Picking it
+  // costs courier EDD calls per warehouse, so public batches take the first by priority instead.
+  const pickPerPincode = candidates.length > 1 && (!Array.isArray(pincodes) || !!apiKey);
+  const checkPincode = async p => {
+    let w = candidates[0];
+    if (pickPerPincode) {
+      const place = await getPincodeInfo(p);
+      if (place.serviceable !== false) w = (await fastestWarehouse(candidates, p, place))?.w || w;
+    }
+    const result = await checkServiceability(p, { weight: kg, paymentMode, orderValue: orderValue != null ? Number(orderValue) : null, w });
+    return { ...result, warehouse: { code: w.code, name: w.name, pincode: w.pincode } };
+  };
+
+  try {
+    const results = [];
+    for (let i = 0; i < list.length; i += 5) {
+      const chunk = list.slice(i, i + 5);
+      results.push(...await Promise.all(chunk.map(p => /^\d{6}$/.test(p)
+        ? checkPincode(p)
+        : { pincode: p, serviceable: false, error: "Invalid pincode", warehouse: null })));
+    }
+    if (!Array.isArray(pincodes)) return res.json({ ...results[0], weight_kg: kg, payment_mode: paymentMode });
+    res.json({ results, weight_kg: kg, payment_mode: paymentMode });
+  } catch (e) {
+    logEvent('ERROR', 'SERVICEABILITY', 'Serviceability check failed', { error: e.message });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/admin/cod-rules", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const { rows } = await pool.query(`SELECT * FROM cod_rules ORDER BY active DESC, pattern`);
+    res.json({ rules: rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post("/admin/cod-rules", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  const { pattern, reason, max_order_value: maxOrderValue } = req.body || {};
+  if (!/^\d{1,6}\*$|^\d{6}$/.test(pattern || "")) return res.status(400).json({ error: "pattern must be a pincode or a prefix ending in *" });
+  try {
+    const { rows } = await pool.query(`
+      INSERT INTO cod_rules (pattern, reason, max_order_value) VALUES ($1, $2, $3) RETURNING *
+    `, [pattern, reason || null, maxOrderValue != null ? Number(maxOrderValue) : null]);
+    await loadCodRules();
+    logEvent('INFO', 'SERVICEABILITY', `COD rule ${rows[0].id} added`, { pattern, reason });
+    res.json({ rule: rows[0] });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post("/admin/cod-rules/:id/deactivate", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const r = await pool.query(`UPDATE cod_rules SET active = FALSE WHERE id = $1`, [req.params.id]);
+    if (r.rowCount === 0) return res.status(404).json({ error: "Rule not found" });
+    await loadCodRules();
+    res.json({ success: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/* ===============================
+   🔑 API KEY MANAGEMENT
+================================ */
+function validScopes(scopes) {
+  return Array.isArray(scopes) && scopes.length > 0 && scopes.every(sc => sc === "*" || ADMIN_SCOPES.includes(sc));
+}
+
+function expiryFromDays(days) {
+  const n = parseFloat(days);
+  return n > 0 ? new Date(Date.now() + n * 86400000) : null;
+}
+
+app.get("/admin/api-keys", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:keys"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const { rows } = await pool.query(`
+      SELECT id, name, scopes, created_by, rotated_from, expires_at, revoked_at, last_used_at, created_at,
+        (revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())) AS active
+      FROM admin_api_keys ORDER BY created_at DESC
+    `);
+    res.json({ keys: rows, scopes: ADMIN_SCOPES });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// { name, scopes: [...], expires_in_days? }. The raw key is only returned in this response.
+app.post("/admin/api-keys", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:keys"))) return res.status(403).json({ error: "Unauthorized" });
+  const { name, scopes, expires_in_days: expiresInDays } = req.body || {};
+  if (!name) return res.status(400).json({ error: "name required" });
+  if (!validScopes(scopes)) return res.status(400).json({ error: `scopes must be a non-empty list of: *, ${ADMIN_SCOPES.join(", ")}` });
+  try {
+    const { id, raw } = generateApiKey();
+    const { rows } = await pool.query(`
+      INSERT INTO admin_api_keys (id, name, key_hash, scopes, created_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, name, scopes, expires_at, created_at
+    `, [id, name, hashApiKey(raw), scopes, req.adminKey.id, expiryFromDays(expiresInDays)]);
+    logEvent('INFO', 'SECURITY', `API key ${id} created`, { name, scopes, by: req.adminKey.id });
+    res.json({ key: { ...rows[0], secret: raw } });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Issues a replacement with the same scopes; the old key keeps working for grace_hours (default 24)
+app.post("/admin/api-keys/:id/rotate", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:keys"))) return res.status(403).json({ error: "Unauthorized" });
+  const graceHours = Math.max(0, parseFloat(req.body?.grace_hours ?? 24) || 0);
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows: [old] } = await client.query(`
+      SELECT * FROM admin_api_keys WHERE id = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW()) FOR UPDATE
+    `, [req.params.id]);
+    if (!old) { await client.query("ROLLBACK"); return res.status(404).json({ error: "Active key not found" }); }
+
+    const { id, raw } = generateApiKey();
+    const expiresAt = req.body?.expires_in_days !== undefined ? expiryFromDays(req.body.expires_in_days) : old.expires_at;
+    const { rows } = await client.query(`
+      INSERT INTO admin_api_keys (id, name, key_hash, scopes, created_by, rotated_from, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id, name, scopes, expires_at, created_at
+    `, [id, old.name, hashApiKey(raw), old.scopes, req.adminKey.id, old.id, expiresAt]);
+    await client.query(`
+      UPDATE admin_api_keys SET expires_at = LEAST(COALESCE(expires_at, 'infinity'), NOW() + $2 * INTERVAL '1 hour') WHERE id = $1
+    `, [old.id, graceHours]);
+    await client.query("COMMIT");
+    apiKeyCache.clear();
+    logEvent('INFO', 'SECURITY', `API key ${old.id} rotated to ${id}`, { grace_hours: graceHours, by: req.adminKey.id });
+    res.json({ key: { ...rows[0], secret: raw }, previous: { id: old.id, expires_in_hours: graceHours } });
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    res.status(500).json({ error: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+app.post("/admin/api-keys/:id/revoke", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:keys"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const r = await pool.query(`UPDATE admin_api_keys SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL`, [req.params.id]);
+    if (r.rowCount === 0) return res.status(404).json({ error: "Key not found or already revoked" });
+    apiKeyCache.clear();
+    logEvent('WARN', 'SECURITY', `API key ${req.params.id} revoked`, { by: req.adminKey.id });
+    res.json({ success: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get("/admin/audit-log", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:keys"))) return res.status(403).json({ error: "Unauthorized" });
+  const { key_id: keyId, path, since } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  try {
+    const { rows } = await pool.query(`
+      SELECT * FROM admin_audit_log
+      WHERE ($1::text IS NULL OR key_id = $1) AND ($2::text IS NULL OR path LIKE $2 || '%')
+        AND ($3::timestamptz IS NULL OR created_at >= $3)
+      ORDER BY id DESC LIMIT $4
+    `, [keyId || null, path || null, since || null, limit]);
+    res.json({ entries: rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/* ===============================
+   ✅ PAGINATED ORDERS ENDPOINT (OPS) - 🟢 EGRESS PROTECTED
+================================ */
+app.get("/ops/orders", async (req, res) => {
+  if (!(await verifyAdmin(req, "ops:read"))) return res.status(403).json({ error: "Unauthorized" });
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 250);
+    const offset = (page - 1) * limit;
+
+    let whereClause = "";
+    let queryArgs = [limit, offset];      
+
+    // FRIEND'S FIX 2: We use $3 for the main query, and $1 for the count query later
+    if (req.query.updated_after) {
+      whereClause = `WHERE o.updated_at >= $3 OR s.last_checked_at >= $3 OR r.updated_at >= $3`;
+      queryArgs.push(req.query.updated_after);
+    }
+
+    const { rows } = await pool.query(`
+      SELECT
+        o.id, o.order_number, o.created_at, o.financial_status, o.fulfillment_status,
+        o.total_price, o.payment_gateway_names, o.line_items, o.is_exchange, o.is_return, o.source,
+        COALESCE(o.customer_name, s.raw_data->'shipment_track'->0->>'consignee_name', 'Guest') AS customer_name,
+        COALESCE(o.customer_email, s.raw_data->'shipment_track'->0->>'email') AS customer_email,
+        COALESCE(o.customer_phone, s.raw_data->'shipment_track'->0->>'mobile') AS customer_phone,
+        COALESCE(o.city, s.raw_data->'shipment_track'->0->>'destination') AS city,
+        COALESCE(
+          CONCAT(o.shipping_address->>'address1', ', ', o.shipping_address->>'city', ' - ', o.shipping_address->>'zip'),
+          o.city
+        ) AS full_address,
+        s.awb, s.courier_source, s.last_state, s.last_state_reason, s.last_status,
+        s.raw_data->'shipment_track'->0->>'delivered_date' AS delivered_date,
+        s.raw_data->'shipment_track'->0->>'edd' AS expected_delivery_date,
+        (
+          SELECT activity FROM jsonb_to_recordset(
+            CASE WHEN jsonb_typeof(s.raw_data->'shipment_track_activities') = 'array'
+              THEN s.raw_data->'shipment_track_activities' ELSE '[]'::jsonb END
+          ) AS x(activity text, "sr-status" text)
+          WHERE "sr-status" IN ('6','13','14','19','20','21','53','54','55','56') LIMIT 1
+        ) AS ndr_reason,
+        r.status AS return_status
+      FROM orders_ops o
+      -- 🟢 FRIEND'S FIX: LATERAL JOIN picks only the newest AWB if an order has multiples
+      LEFT JOIN LATERAL (
+        SELECT * FROM shipments_ops 
+        WHERE order_id::text = o.id::text 
+        ORDER BY last_checked_at DESC NULLS LAST 
+        LIMIT 1
+      ) s ON true
+      LEFT JOIN returns_ops r ON r.order_number::text = o.order_number::text
+      ${whereClause}
+      ORDER BY o.created_at DESC
+      LIMIT $1 OFFSET $2
+    `, queryArgs);
+
+    // FRIEND'S FIX 3: Safe, fast count query separated out
+    let countRes;
+    
+    if (req.query.updated_after) {
+      countRes = await pool.query(`
+        SELECT COUNT(*)
+        FROM orders_ops o
+        LEFT JOIN shipments_ops s ON s.order_id::text = o.id::text
+        LEFT JOIN returns_ops r ON r.order_number::text = o.order_number::text
+        WHERE o.updated_at >= $1 OR s.last_checked_at >= $1 OR r.updated_at >= $1
+      `, [req.query.updated_after]); 
+    } else {
+      countRes = await pool.query(`SELECT COUNT(*) FROM orders_ops`);
+    }
+
+    const optimizedRows = rows.map(r => ({
+      ...r,
+      line_items: (r.line_items || []).map(item => ({ title: item.title }))
+    }));
+
+    res.json({
+      orders: optimizedRows,
+      pagination: {
+        total: parseInt(countRes.rows[0].count),
+        page,
+        totalPages: Math.ceil(parseInt(countRes.rows[0].count) / limit)
+      }
+    });
+  } catch (e) {
+    res.status(500).json({ error: "DB Error: " + e.message });
+  }
+});
+
+/* ===============================
+   📊 OPS ENDPOINTS
+================================ */
+// Filters shared by /ops/logs and its export:
+//   level, module       comma-separated lists
+//   from, to            timestamps (ISO or anything Postgres parses)
+//   q                   case-insensitive substring of message
+//   correlation_id      exact match
+//   meta.<key>=<value>  top-level meta field, e.g. meta.awb=12345678901
+// Pages run newest first and are keyed on id: pass next_cursor back as ?cursor=.
+function logQueryError(query) {
+  for (const key of ["from", "to"]) {
+    if (query[key] && isNaN(Date.parse(query[key]))) return `${key} is not a valid timestamp`;
+  }
+  if (query.cursor && !(parseInt(query.cursor) > 0)) return "Invalid cursor";
+  const badMeta = Object.keys(query).find(k => k.startsWith("meta.") && !/^meta\.[\w-]+$/.test(k));
+  return badMeta ? `Invalid meta filter ${badMeta}` : null;
+}
+
+function buildLogFilter(query) {
+  const where = [];
+  const params = [];
+  const list = v => String(v).split(",").map(x => x.trim()).filter(Boolean);
+
+  if (query.level) { params.push(list(query.level).map(l => l.toUpperCase())); where.push(`level = ANY($${params.length})`); }
+  if (query.module) { params.push(list(query.module).map(m => m.toUpperCase())); where.push(`module = ANY($${params.length})`); }
+  for (const [key, op] of [["from", ">="], ["to", "<="]]) {
+    if (!query[key]) continue;
+    params.push(query[key]);
+    where.push(`timestamp ${op} $${params.length}::timestamptz`);
+  }
+  if (query.q) {
+    params.push(`%${String(query.q).replace(/[\\%_]/g, m => "\\" + m)}%`);
+    where.push(`message ILIKE $${params.length}`);
+  }
+  if (query.correlation_id) { params.push(String(query.correlation_id)); where.push(`correlation_id = $${params.length}`); }
+  for (const [key, value] of Object.entries(query)) {
+    if (!key.startsWith("meta.")) continue;
+    const field = key.slice(5);
+    // Meta values are written as whatever type the caller had, so "123" also matches the number 123
+    const candidates = [{ [field]: String(value) }];
+    if (/^-?\d+(\.\d+)?$/.test(value)) candidates.push({ [field]: Number(value) });
+    where.push(`(${candidates.map(c => { params.push(JSON.stringify(c)); return `meta @> $${params.length}::jsonb`; }).join(" OR ")})`);
+  }
+  if (query.cursor) {
+    params.push(parseInt(query.cursor));
+    where.push(`id < $${params.length}`);
+  }
+  return { where: where.length ? `WHERE ${where.join(" AND ")}` : "", params };
+}
+
+async function fetchLogPage(query, limit) {
+  const { where, params } = buildLogFilter(query);
+  const { rows } = await pool.query(`
+    SELECT id, timestamp, level, module, message, meta, correlation_id FROM system_logs
+    ${where} ORDER BY id DESC LIMIT ${limit}
+  `, params);
+  return { rows, nextCursor: rows.length === limit ? String(rows[rows.length - 1].id) : null };
+}
+
+app.get("/ops/logs", async (req, res) => {
+  if (!(await verifyAdmin(req, "ops:read"))) return res.status(403).json({ error: "Unauthorized" });
+  const invalid = logQueryError(req.query);
+  if (invalid) return res.status(400).json({ error: invalid });
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+  try {
+    const { rows, nextCursor } = await fetchLogPage(req.query, limit);
+    res.json({ logs: rows, next_cursor: nextCursor });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Same filters as /ops/logs, streamed page by page. ?format=ndjson (default) or csv; ?max caps the row count.
+const LOG_EXPORT_MAX_ROWS = 200000;
+
+app.get("/ops/logs/export", async (req, res) => {
+  if (!(await verifyAdmin(req, "ops:read"))) return res.status(403).json({ error: "Unauthorized" });
+  const format = req.query.format || "ndjson";
+  if (!["ndjson", "csv"].includes(format)) return res.status(400).json({ error: "format must be ndjson or csv" });
+  const invalid = logQueryError(req.query);
+  if (invalid) return res.status(400).json({ error: invalid });
+  const max = Math.min(parseInt(req.query.max) || LOG_EXPORT_MAX_ROWS, LOG_EXPORT_MAX_ROWS);
+
+  let page;
+  try {
+    page = await fetchLogPage(req.query, Math.min(1000, max));
+  } catch (e) { return res.status(500).json({ error: e.message }); }
+
+  const columns = ["id", "timestamp", "level", "module", "message", "meta", "correlation_id"];
+  res.type(format === "csv" ? "text/csv" : "application/x-ndjson");
+  res.setHeader("Content-Disposition", `attachment; filename="system_logs.${format}"`);
+  if (format === "csv") res.write(csvRow(columns));
+
+  let closed = false;
+  req.on("close", () => { closed = true; });
+  let sent = 0;
+  try {
+    while (!closed) {
+      for (const row of page.rows) {
+        const line = format === "csv" ? csvRow(columns.map(c => row[c])) : JSON.stringify(row) + "\n";
+        if (!res.write(line)) await new Promise(resolve => { res.once("drain", resolve); res.once("close", resolve); });
+      }
+      sent += page.rows.length;
+      if (!page.nextCursor || sent >= max) break;
+      page = await fetchLogPage({ ...req.query, cursor: page.nextCursor }, Math.min(1000, max - sent));
+    }
+  } catch (e) {
+    // Headers are gone; leave a marker the reader can't mistake for a log row
+    res.write(format === "csv" ? `# export aborted: ${e.message}\n` : JSON.stringify({ export_error: e.message }) + "\n");
+  }
+  res.end();
+});
+
+app.get("/ops/api-usage", async (req, res) => {
+  if (!(await verifyAdmin(req, "ops:read"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const { rows } = await pool.query(`
+      SELECT log_date, provider, calls FROM api_usage_ops
+      WHERE log_date >= CURRENT_DATE - INTERVAL '14 days'
+      ORDER BY log_date DESC, provider ASC
+    `);
+    res.json({ usage: rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get("/recon/ops", async (req, res) => {
+  if (!(await verifyAdmin(req, "ops:read"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const { rows } = await pool.query(`
+      SELECT
+        COUNT(*) FILTER (WHERE is_exchange = FALSE AND is_return = FALSE) AS net_new_orders,
+        COUNT(*) FILTER (WHERE is_return = TRUE) AS total_returns,
+        COUNT(*) FILTER (WHERE financial_status != 'paid' AND fulfillment_status = 'fulfilled') AS cod_at_risk
+      FROM orders_ops
+      WHERE created_at > NOW() - INTERVAL '30 days'
+    `);
+    res.json({ summary: rows[0] });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/* ===============================
+   🔍 ADMIN DEBUG TOOLS
+================================ */
+app.get("/admin/debug-awb", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:debug"))) return res.status(403).json({ error: "Unauthorized" });
+  const { awb } = req.query;
+  if (!awb) return res.status(400).json({ error: "AWB Required" });
+  try {
+    const { rows } = await pool.query(
+      `SELECT awb, order_id, courier_source, delivered, last_status, last_state, last_state_reason, next_check_at, last_checked_at FROM shipments_ops WHERE awb = $1`,
+      [awb]
+    );
+    if (rows.length === 0) return res.status(404).json({ error: "AWB not found" });
+    res.json({ db_row: rows[0] });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get("/ops/shipments/:awb/timeline", async (req, res) => {
+  if (!(await verifyAdmin(req, "ops:read"))) return res.status(403).json({ error: "Unauthorized" });
+  const { awb } = req.params;
+  try {
+    const shp = await pool.query(
+      `SELECT awb, order_id, courier_source, delivered, last_status, last_state, last_state_reason, last_checked_at FROM shipments_ops WHERE awb = $1`,
+      [awb]
+    );
+    if (shp.rows.length === 0) return res.status(404).json({ error: "AWB not found" });
+
+    const [events, transitions] = await Promise.all([
+      pool.query(`
+        SELECT courier, status, location, scan_date, scanned_at, created_at AS first_seen_at
+        FROM shipment_events WHERE awb = $1
+        ORDER BY scanned_at ASC NULLS LAST, id ASC
+      `, [awb]),
+      pool.query(`
+        SELECT from_state, to_state, reason, courier, transitioned_at
+        FROM shipment_transitions WHERE awb = $1
+        ORDER BY transitioned_at ASC, id ASC
+      `, [awb])
+    ]);
+
+    // Time spent in each state = gap until the next transition (or until now for the current one)
+    const t = transitions.rows;
+    const withDurations = t.map((row, i) => {
+      const end = i + 1 < t.length ? new Date(t[i + 1].transitioned_at) : new Date();
+      return { ...row, hours_in_state: +((end - new Date(row.transitioned_at)) / 3600000).toFixed(2) };
+    });
+
+    res.json({ shipment: shp.rows[0], events: events.rows, transitions: withDurations });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get("/admin/debug-order", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:debug"))) return res.status(403).json({ error: "Unauthorized" });
+  const { id } = req.query;
+  if (!id) return res.status(400).json({ error: "Order ID Required" });
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, order_number, financial_status, fulfillment_status, created_at FROM orders_ops WHERE id = $1 OR order_number = $1`,
+      [id]
+    );
+    if (rows.length === 0) return res.status(404).json({ error: "Order not found" });
+    res.json({ db_row: rows[0] });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get("/admin/debug-returns", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:debug"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const { rows } = await pool.query(`SELECT * FROM returns_ops ORDER BY updated_at DESC LIMIT 50`);
+    res.json({ total_records: rows.length, recent_data: rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get("/admin/circuit-status", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:debug"))) return res.status(403).json({ error: "Unauthorized" });
+  const status = {};
+  for (const [provider, cb] of Object.entries(circuitBreakers)) {
+    status[provider] = {
+      failures: cb.failures,
+      isOpen: cb.openUntil > Date.now(),
+      opensAt: cb.openUntil ? new Date(cb.openUntil).toISOString() : null
+    };
+  }
+  res.json({ circuit_breakers: status });
+});
+
+app.get("/admin/force-single", async (req, res) => {
+  if (!(await verifyAdmin(req, "ops:refresh"))) return res.status(403).json({ error: "Unauthorized" });
+  
+  // 🟢 THE FIX: We now accept an optional 'force_couriere' query parameter
+  const { awb, force_courier } = req.query; 
+  if (!awb) return res.status(400).json({ error: "AWB Required" });
+  
+  try {
+    const r = await pool.query(`SELECT courier_source FROM shipments_ops WHERE awb = $1`, [awb]);
+    if (r.rows.length === 0) return res.status(404).json({ error: "AWB not in DB" });
+    
+    // 🟢 Decide which courier to ask: use the override if provided, otherwise trust the DB
+    const courierToUse = force_courier || r.rows[0].courier_source;
+    
+    const result = await forceRefreshShipment(awb, courierToUse);
+    res.json({ success: !!result, data: result });
+  } catch (e) { 
+    res.status(500).json({ error: e.message }); 
+  }
+});
+
+/* ===============================
+   📣 WEBHOOK SUBSCRIPTION ADMIN
+================================ */
+app.get("/admin/webhook-subscriptions", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const { rows } = await pool.query(`
+      SELECT sub.id, sub.url, sub.event_types, sub.description, sub.active, sub.created_at,
+        COUNT(d.id) FILTER (WHERE d.status = 'pending') AS pending,
+        COUNT(d.id) FILTER (WHERE d.status = 'dead') AS dead
+      FROM webhook_subscriptions sub
+      LEFT JOIN webhook_deliveries d ON d.subscription_id = sub.id
+      GROUP BY sub.id ORDER BY sub.id
+    `);
+    res.json({ subscriptions: rows, event_types: WEBHOOK_EVENT_TYPES });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post("/admin/webhook-subscriptions", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  const { url, event_types: eventTypes, description } = req.body || {};
+  if (!/^https?:\/\//i.test(url || "")) return res.status(400).json({ error: "Valid url required" });
+  if (!Array.isArray(eventTypes) || eventTypes.length === 0) return res.status(400).json({ error: "event_types required" });
+  const unknown = eventTypes.filter(t => !WEBHOOK_EVENT_TYPES.includes(t));
+  if (unknown.length) return res.status(400).json({ error: `Unknown event types: ${unknown.join(", ")}` });
+
+  try {
+    const secret = req.body.secret || crypto.randomBytes(32).toString("hex");
+    const { rows } = await pool.query(`
+      INSERT INTO webhook_subscriptions (url, secret, event_types, description)
+      VALUES ($1, $2, $3, $4) RETURNING id, url, event_types, description, active, created_at
+    `, [url, secret, eventTypes, description || null]);
+    logEvent('INFO', 'OUTBOUND_WEBHOOK', `Subscription ${rows[0].id} created`, { url, event_types: eventTypes });
+    // The secret is only ever returned here
+    res.json({ subscription: { ...rows[0], secret } });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post("/admin/webhook-subscriptions/:id/deactivate", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const r = await pool.query(`UPDATE webhook_subscriptions SET active = FALSE WHERE id = $1`, [req.params.id]);
+    if (r.rowCount === 0) return res.status(404).json({ error: "Subscription not found" });
+    res.json({ success: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get("/admin/webhook-deliveries/dead", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const { rows } = await pool.query(`
+      SELECT d.id, d.subscription_id, sub.url, d.event_type, d.payload, d.attempts,
+             d.last_status_code, d.last_error, d.created_at
+      FROM webhook_deliveries d JOIN webhook_subscriptions sub ON sub.id = d.subscription_id
+      WHERE d.status = 'dead'
+      ORDER BY d.created_at DESC LIMIT 200
+    `);
+    res.json({ dead_letters: rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Replays the given delivery ids, or every dead letter when none are passed
+app.post("/admin/webhook-deliveries/replay", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(String) : null;
+  try {
+    const r = await pool.query(`
+      UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL
+      WHERE status = 'dead' AND ($1::bigint[] IS NULL OR id = ANY($1::bigint[]))
+    `, [ids]);
+    logEvent('INFO', 'OUTBOUND_WEBHOOK', `Replaying ${r.rowCount} dead deliveries`);
+    res.json({ replayed: r.rowCount });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/* ===============================
+   💬 NOTIFICATION ADMIN
+================================ */
+app.get("/admin/notification-templates", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const { rows } = await pool.query(`SELECT * FROM notification_templates ORDER BY event_key, channel`);
+    res.json({ templates: rows, enabled_channels: enabledNotifyChannels() });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post("/admin/notification-templates", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  const { event_key: eventKey, channel, subject, body, active } = req.body || {};
+  if (!Object.values(CUSTOMER_NOTIFY_EVENTS).includes(eventKey)) return res.status(400).json({ error: "Unknown event_key" });
+  if (!["whatsapp", "sms", "email"].includes(channel)) return res.status(400).json({ error: "Unknown channel" });
+  if (!body) return res.status(400).json({ error: "body required" });
+  try {
+    const { rows } = await pool.query(`
+      INSERT INTO notification_templates (event_key, channel, subject, body, active, updated_at)
+      VALUES ($1, $2, $3, $4, $5, NOW())
+      ON CONFLICT (event_key, channel) DO UPDATE SET
+        subject = EXCLUDED.subject, body = EXCLUDED.body, active = EXCLUDED.active, updated_at = NOW()
+      RETURNING *
+    `, [eventKey, channel, subject || null, body, active !== false]);
+    res.json({ template: rows[0] });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get("/ops/notifications", async (req, res) => {
+  if (!(await verifyAdmin(req, "ops:read"))) return res.status(403).json({ error: "Unauthorized" });
+  const { order_id: orderId, awb, status, channel } = req.query;
+  try {
+    const { rows } = await pool.query(`
+      SELECT id, order_id, awb, event_key, channel, recipient, provider, status, error, attempts, send_after,
+        next_attempt_at, created_at, sent_at
+      FROM notification_log
+      WHERE ($1::text IS NULL OR order_id = $1)
+        AND ($2::text IS NULL OR awb = $2)
+        AND ($3::text IS NULL OR status = $3)
+        AND ($4::text IS NULL OR channel = $4)
+      ORDER BY created_at DESC LIMIT 200
+    `, [orderId || null, awb || null, status || null, channel || null]);
+    res.json({ notifications: rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/* ===============================
+   📵 NDR WORKFLOW
+================================ */
+const NDR_ACTIONS = ["reattempt", "update_address", "update_phone", "rto"];
+
+function ndrEscalationHours() {
+  return parseInt(NDR_ESCALATION_HOURS) || 24;
+}
+
+// ndr_since is the latest transition into NDR; rows tracked before transitions existed fall back to last_checked_at
+const NDR_QUEUE_SQL = `
+  SELECT s.awb, s.order_id, o.order_number, o.customer_name, o.customer_phone,
+         s.courier_source, s.last_state_reason AS reason, s.last_status,
+         COALESCE(t.ndr_since, s.last_checked_at) AS ndr_since,
+         GREATEST(t.attempts, 1) AS attempts,
+         a.action AS last_action, a.status AS last_action_status,
+         a.performed_by AS last_action_by, a.created_at AS last_action_at,
+         e.escalated_at
+  FROM shipments_ops s
+  LEFT JOIN orders_ops o ON o.id = s.order_id
+  LEFT JOIN LATERAL (
+    SELECT MAX(transitioned_at) AS ndr_since, COUNT(*) AS attempts
+    FROM shipment_transitions WHERE awb = s.awb AND to_state = 'NDR'
+  ) t ON true
+  LEFT JOIN LATERAL (
+    SELECT action, status, performed_by, created_at FROM ndr_actions
+    WHERE awb = s.awb ORDER BY created_at DESC LIMIT 1
+  ) a ON true
+  LEFT JOIN ndr_escalations e ON e.awb = s.awb AND e.ndr_since = COALESCE(t.ndr_since, s.last_checked_at)
+  WHERE s.last_state = 'NDR'
+`;
+
+app.get("/ops/ndr", async (req, res) => {
+  if (!(await verifyAdmin(req, "ops:read"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const { rows } = await pool.query(`${NDR_QUEUE_SQL} ORDER BY ndr_since ASC NULLS FIRST`);
+    const queue = rows.map(r => ({
+      ...r,
+      attempts: parseInt(r.attempts),
+      age_hours: r.ndr_since ? +((Date.now() - new Date(r.ndr_since)) / 3600000).toFixed(1) : null,
+      actioned: !!(r.last_action_at && r.ndr_since && new Date(r.last_action_at) >= new Date(r.ndr_since))
+    }));
+    const filtered = req.query.status === "pending" ? queue.filter(r => !r.actioned)
+      : req.query.status === "actioned" ? queue.filter(r => r.actioned) : queue;
+    res.json({ ndr: filtered, escalation_hours: ndrEscalationHours() });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get("/ops/ndr/:awb/actions", async (req, res) => {
+  if (!(await verifyAdmin(req, "ops:read"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const { rows } = await pool.query(`SELECT * FROM ndr_actions WHERE awb = $1 ORDER BY created_at DESC`, [req.params.awb]);
+    res.json({ actions: rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post("/ops/ndr/:awb/action", async (req, res) => {
+  if (!(await verifyAdmin(req, "ops:ndr"))) return res.status(403).json({ error: "Unauthorized" });
+  const { awb } = req.params;
+  const { action, date, address1, address2, phone, comments } = req.body || {};
+  const performedBy = req.body?.performed_by || req.headers["x-admin-user"] || (req.adminKey?.id !== "env" ? req.adminKey?.name : null);
+
+  if (!NDR_ACTIONS.includes(action)) return res.status(400).json({ error: `action must be one of ${NDR_ACTIONS.join(", ")}` });
+  if (!performedBy) return res.status(400).json({ error: "performed_by required" });
+  if (action === "reattempt" && date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+  if (action === "update_address" && !address1) return res.status(400).json({ error: "address1 required" });
+  if (action === "update_phone" && !/^\d{10}$/.test(String(phone || "").replace(/\D/g, "").slice(-10))) {
+    return res.status(400).json({ error: "Valid phone required" });
+  }
+
+  try {
+    const r = await pool.query(`SELECT courier_source, last_state FROM shipments_ops WHERE awb = $1`, [awb]);
+    if (r.rows.length === 0) return res.status(404).json({ error: "AWB not in DB" });
+    if (r.rows[0].last_state !== 'NDR') return res.status(409).json({ error: `Shipment is ${r.rows[0].last_state}, not NDR` });
+
+    const courier = r.rows[0].courier_source;
+    const adapter = getCourier(courier);
+    const params = { action, date, address1, address2, phone, comments };
+
+    let status = "manual_required";
+    let response = null;
+    let error = null;
+    if (adapter?.ndrAction) {
+      try {
+        response = await adapter.ndrAction(awb, params);
+        status = "submitted";
+      } catch (e) {
+        status = "failed";
+        error = e.response?.data ? JSON.stringify(e.response.data) : e.message;
+      }
+    }
+
+    const { rows } = await pool.query(`
+      INSERT INTO ndr_actions (awb, courier, action, params, performed_by, status, response, error)
+      VALUES ($1, $2, $3, $4::jsonb, $5, $6, $7::jsonb, $8) RETURNING *
+    `, [awb, courier, action, JSON.stringify(params), String(performedBy), status,
+        response ? JSON.stringify(response) : null, error]);
+
+    logEvent(status === "failed" ? 'ERROR' : 'INFO', 'NDR', `${action} on ${awb} by ${performedBy}: ${status}`, { courier, error });
+    res.status(status === "failed" ? 502 : 200).json({ success: status !== "failed", action: rows[0] });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Flags each NDR episode once when nobody has acted on it within the window
+async function escalateStaleNdrs() {
+  try {
+    const { rows } = await pool.query(`
+      INSERT INTO ndr_escalations (awb, ndr_since)
+      SELECT q.awb, q.ndr_since FROM (${NDR_QUEUE_SQL}) q
+      WHERE q.ndr_since < NOW() - ($1 * INTERVAL '1 hour')
+        AND (q.last_action_at IS NULL OR q.last_action_at < q.ndr_since)
+      ON CONFLICT DO NOTHING
+      RETURNING awb, ndr_since
+    `, [ndrEscalationHours()]);
+    for (const r of rows) {
+      logEvent('WARN', 'NDR', `Escalated: no action on ${r.awb} for ${ndrEscalationHours()}h`, { awb: r.awb, ndr_since: r.ndr_since });
+    }
+  } catch (e) { logEvent('ERROR', 'NDR', 'Escalation sweep failed', { error: e.message }); }
+}
+
+/* ===============================
+   ⏱️ DELIVERY SLA
+================================ */
+// A shipment is on time when it is delivered (IST calendar day) on or before promised_edd_to.
+// The checkout promise wins over the courier's; the courier's first EDD is kept even if it
+// slips later, since that is what the customer was told.
+const SLA_OPEN_STATES_SQL = `COALESCE(s.last_state, 'PROCESSING') IN ('PROCESSING', 'IN_TRANSIT', 'OUT_FOR_DELIVERY', 'NDR')`;
+
+async function applyOrderPromise(orderId) {
+  await pool.query(`
+    UPDATE shipments_ops s SET promised_edd_from = o.promised_edd_from, promised_edd_to = o.promised_edd_to,
+      promised_edd_source = 'checkout'
+    FROM orders_ops o
+    WHERE o.id = $1 AND s.order_id = o.id AND o.promised_edd_to IS NOT NULL
+      AND (s.promised_edd_source IS DISTINCT FROM 'checkout' OR s.promised_edd_to IS DISTINCT FROM o.promised_edd_to)
+  `, [orderId]);
+}
+
+async function recordCourierPromise(awb, raw) {
+  const day = eddDateKey(courierEddFromRaw(raw));
+  if (!day) return;
+  await pool.query(`
+    UPDATE shipments_ops SET promised_edd_from = $2, promised_edd_to = $2, promised_edd_source = 'courier'
+    WHERE awb = $1 AND promised_edd_to IS NULL
+  `, [awb, day]).catch(e => logEvent('ERROR', 'SLA', 'Could not store courier promise', { awb, error: e.message }));
+}
+
+// Delivery time is the latest scan we hold, which is when the courier marked it delivered
+async function markDelivered(awb) {
+  const { rows } = await pool.query(`
+    UPDATE shipments_ops SET delivered_at = COALESCE((SELECT MAX(scanned_at) FROM shipment_events WHERE awb = $1), NOW())
+    WHERE awb = $1 AND delivered_at IS NULL
+    RETURNING promised_edd_to, (delivered_at AT TIME ZONE 'Asia/Kolkata')::date - promised_edd_to AS days_late
+  `, [awb]);
+  if (rows[0]?.days_late > 0) {
+    logEvent('WARN', 'SLA', `Delivered ${rows[0].days_late}d after promise`, { awb, promised_edd_to: rows[0].promised_edd_to });
+  }
+}
+
+// group_by name → [column alias, expression] pairs; district is reported under its state
+const SLA_GROUPS = {
+  courier: [["courier", "courier"]],
+  state: [["state", "COALESCE(state, 'Unknown')"]],
+  district: [["state", "COALESCE(state, 'Unknown')"], ["district", "COALESCE(district, 'Unknown')"]],
+  week: [["week", "to_char(date_trunc('week', delivered_on), 'YYYY-MM-DD')"]]
+};
+
+// ?group_by=courier|state|district|week (comma-separated to combine, e.g. courier,week)
+// ?from, ?to bound delivery time (default: last 30 days); ?courier, ?source=checkout|courier filter.
+app.get("/ops/sla/breaches", async (req, res) => {
+  if (!(await verifyAdmin(req, "ops:read"))) return res.status(403).json({ error: "Unauthorized" });
+  const groupBy = String(req.query.group_by || "courier").split(",").map(g => g.trim()).filter(Boolean);
+  const unknown = groupBy.find(g => !SLA_GROUPS[g]);
+  if (unknown) return res.status(400).json({ error: `group_by must be among ${Object.keys(SLA_GROUPS).join(", ")}` });
+  const from = req.query.from || new Date(Date.now() - 30 * 86400000).toISOString();
+  const to = req.query.to || new Date().toISOString();
+  if (isNaN(Date.parse(from)) || isNaN(Date.parse(to))) return res.status(400).json({ error: "from/to must be dates" });
+
+  const params = [from, to];
+  const filters = [];
+  if (req.query.courier) { params.push(req.query.courier); filters.push(`s.courier_source = $${params.length}`); }
+  if (req.query.source) { params.push(req.query.source); filters.push(`s.promised_edd_source = $${params.length}`); }
+
+  const columns = new Map(groupBy.flatMap(g => SLA_GROUPS[g]));
+  const selects = [...columns].map(([alias, expr]) => `${expr} AS ${alias}`).join(", ");
+  const keys = [...columns.keys()].map((_, i) => i + 1);
+  try {
+    const { rows } = await pool.query(`
+      WITH delivered AS (
+        SELECT COALESCE(s.courier_source, 'unknown') AS courier, p.state, p.district,
+          (s.delivered_at AT TIME ZONE 'Asia/Kolkata')::date AS delivered_on, s.promised_edd_to
+        FROM shipments_ops s
+        LEFT JOIN orders_ops o ON o.id = s.order_id
+        LEFT JOIN pincodes p ON p.pincode = o.shipping_address->>'zip'
+        WHERE s.last_state = 'DELIVERED' AND s.delivered_at >= $1 AND s.delivered_at <= $2
+          ${filters.map(f => `AND ${f}`).join(" ")}
+      )
+      SELECT ${selects},
+        COUNT(*)::int AS delivered,
+        COUNT(promised_edd_to)::int AS with_promise,
+        (COUNT(*) FILTER (WHERE delivered_on <= promised_edd_to))::int AS on_time,
+        (COUNT(*) FILTER (WHERE delivered_on > promised_edd_to))::int AS breached,
+        ROUND(AVG(delivered_on - promised_edd_to) FILTER (WHERE delivered_on > promised_edd_to), 2)::float AS avg_days_late,
+        MAX(delivered_on - promised_edd_to) AS max_days_late
+      FROM delivered
+      GROUP BY ${keys.join(", ")}
+      ORDER BY breached DESC, ${keys.join(", ")}
+    `, params);
+    const withRate = rows.map(r => ({ ...r, breach_rate: r.with_promise ? +(r.breached / r.with_promise).toFixed(4) : null }));
+    const totals = withRate.reduce((t, r) => ({
+      delivered: t.delivered + r.delivered, with_promise: t.with_promise + r.with_promise,
+      on_time: t.on_time + r.on_time, breached: t.breached + r.breached
+    }), { delivered: 0, with_promise: 0, on_time: 0, breached: 0 });
+    totals.breach_rate = totals.with_promise ? +(totals.breached / totals.with_promise).toFixed(4) : null;
+    res.json({ from, to, group_by: groupBy, totals, groups: withRate });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// In-flight shipments whose promised band has already ended (IST), most overdue first
+app.get("/ops/sla/overdue", async (req, res) => {
+  if (!(await verifyAdmin(req, "ops:read"))) return res.status(403).json({ error: "Unauthorized" });
+  const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+  const params = [limit];
+  if (req.query.courier) params.push(req.query.courier);
+  try {
+    const { rows } = await pool.query(`
+      SELECT s.awb, o.order_number, s.courier_source AS courier, s.last_state, s.last_status,
+        s.promised_edd_from, s.promised_edd_to, s.promised_edd_source,
+        (NOW() AT TIME ZONE 'Asia/Kolkata')::date - s.promised_edd_to AS days_overdue,
+        o.shipping_address->>'zip' AS pincode, p.district, p.state, s.last_checked_at
+      FROM shipments_ops s
+      LEFT JOIN orders_ops o ON o.id = s.order_id
+      LEFT JOIN pincodes p ON p.pincode = o.shipping_address->>'zip'
+      WHERE s.delivered IS DISTINCT FROM TRUE AND ${SLA_OPEN_STATES_SQL}
+        AND s.promised_edd_to < (NOW() AT TIME ZONE 'Asia/Kolkata')::date
+        ${req.query.courier ? "AND s.courier_source = $2" : ""}
+      ORDER BY s.promised_edd_to ASC
+      LIMIT $1
+    `, params);
+    res.json({ count: rows.length, overdue: rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/* ===============================
+   🏆 COURIER SCORECARD
+================================ */
+// Shopify's own COD gateway plus the checkout apps we have used ("Gokwik COD", "cash_on_delivery")
+const COD_ORDER_SQL = `(o.payment_gateway_names::text ~* '(\\mcod\\M|cash[ _]on[ _]delivery)')`;
+
+const SCORECARD_GROUPS = ["courier", "state", "city", "payment_mode", "week"];
+const SCORECARD_METRICS = [
+  "shipments", "picked_up", "delivered", "rto", "lost", "ndr", "first_attempt_delivered", "cancelled_after_pickup",
+  "delivery_rate", "rto_rate", "ndr_rate", "first_attempt_rate", "median_days", "p90_days"
+];
+
+// Shipments are bucketed by pickup (first courier scan), or order date when never scanned.
+// Rates: delivery/RTO over resolved shipments (delivered + RTO + lost), NDR over picked up,
+// first attempt over delivered (no NDR and at most one out-for-delivery).
+async function buildCourierScorecard({ from, to, groupBy, courier }) {
+  const params = [from, to];
+  if (courier) params.push(courier);
+  const { rows } = await pool.query(`
+    WITH base AS (
+      SELECT COALESCE(s.courier_source, 'unknown') AS courier, s.last_state,
+        COALESCE(p.state, NULLIF(o.shipping_address->>'province', ''), 'Unknown') AS state,
+        COALESCE(NULLIF(INITCAP(TRIM(o.city)), ''), 'Unknown') AS city,
+        CASE WHEN ${COD_ORDER_SQL} THEN 'cod' ELSE 'prepaid' END AS payment_mode,
+        ev.picked_at, COALESCE(ev.picked_at, o.created_at) AS cohort_at,
+        COALESCE(s.delivered_at, tr.delivered_at) AS delivered_at, tr.ndr_count, tr.ofd_count
+      FROM shipments_ops s
+      LEFT JOIN orders_ops o ON o.id = s.order_id
+      LEFT JOIN pincodes p ON p.pincode = o.shipping_address->>'zip'
+      LEFT JOIN LATERAL (SELECT MIN(scanned_at) AS picked_at FROM shipment_events e WHERE e.awb = s.awb) ev ON TRUE
+      LEFT JOIN LATERAL (
+        SELECT COUNT(*) FILTER (WHERE to_state = 'NDR') AS ndr_count,
+          COUNT(*) FILTER (WHERE to_state = 'OUT_FOR_DELIVERY') AS ofd_count,
+          MIN(transitioned_at) FILTER (WHERE to_state = 'DELIVERED') AS delivered_at
+        FROM shipment_transitions t WHERE t.awb = s.awb
+      ) tr ON TRUE
+      ${courier ? "WHERE s.courier_source = $3" : ""}
+    ), shaped AS (
+      SELECT *, to_char(date_trunc('week', cohort_at AT TIME ZONE 'Asia/Kolkata'), 'YYYY-MM-DD') AS week,
+        CASE WHEN last_state = 'DELIVERED' AND delivered_at > picked_at
+          THEN EXTRACT(EPOCH FROM delivered_at - picked_at) / 86400.0 END AS transit_days
+      FROM base WHERE cohort_at >= $1 AND cohort_at <= $2
+    )
+    SELECT ${groupBy.map(g => `${g}, `).join("")}GROUPING(${groupBy[0]}) = 1 AS is_total,
+      COUNT(*)::int AS shipments,
+      (COUNT(*) FILTER (WHERE picked_at IS NOT NULL))::int AS picked_up,
+      (COUNT(*) FILTER (WHERE last_state = 'DELIVERED'))::int AS delivered,
+      (COUNT(*) FILTER (WHERE last_state IN ('RTO_IN_TRANSIT', 'RTO_DELIVERED')))::int AS rto,
+      (COUNT(*) FILTER (WHERE last_state IN ('LOST', 'DAMAGED')))::int AS lost,
+      (COUNT(*) FILTER (WHERE ndr_count > 0))::int AS ndr,
+      (COUNT(*) FILTER (WHERE last_state = 'DELIVERED' AND ndr_count = 0 AND ofd_count <= 1))::int AS first_attempt_delivered,
+      (COUNT(*) FILTER (WHERE last_state = 'CANCELLED' AND picked_at IS NOT NULL))::int AS cancelled_after_pickup,
+      percentile_cont(0.5) WITHIN GROUP (ORDER BY transit_days) AS median_days,
+      percentile_cont(0.9) WITHIN GROUP (ORDER BY transit_days) AS p90_days
+    FROM shaped
+    GROUP BY GROUPING SETS ((${groupBy.join(", ")}), ())
+    ORDER BY is_total DESC, shipments DESC
+  `, params);
+
+  const rate = (n, d) => d ? +(n / d).toFixed(4) : null;
+  const days = v => v === null ? null : +Number(v).toFixed(2);
+  const shaped = rows.map(r => {
+    const resolved = r.delivered + r.rto + r.lost;
+    return {
+      ...r,
+      delivery_rate: rate(r.delivered, resolved),
+      rto_rate: rate(r.rto, resolved),
+      ndr_rate: rate(r.ndr, r.picked_up),
+      first_attempt_rate: rate(r.first_attempt_delivered, r.delivered),
+      median_days: days(r.median_days),
+      p90_days: days(r.p90_days)
+    };
+  });
+  const strip = (r, keys) => Object.fromEntries(Object.entries(r).filter(([k]) => !keys.includes(k)));
+  const total = shaped.find(r => r.is_total);
+  return {
+    overall: total ? strip(total, ["is_total", ...groupBy]) : null,
+    groups: shaped.filter(r => !r.is_total).map(r => strip(r, ["is_total"]))
+  };
+}
+
+// ?group_by=courier|state|city|payment_mode|week (comma-separated to combine), ?from, ?to
+// (default: last 90 days), ?courier to narrow, ?format=json|csv
+app.get("/ops/scorecard", async (req, res) => {
+  if (!(await verifyAdmin(req, "ops:read"))) return res.status(403).json({ error: "Unauthorized" });
+  const groupBy = [...new Set(String(req.query.group_by || "courier").split(",").map(g => g.trim()).filter(Boolean))];
+  if (!groupBy.length || groupBy.some(g => !SCORECARD_GROUPS.includes(g))) {
+    return res.status(400).json({ error: `group_by must be among ${SCORECARD_GROUPS.join(", ")}` });
+  }
+  const from = req.query.from || new Date(Date.now() - 90 * 86400000).toISOString();
+  const to = req.query.to || new Date().toISOString();
+  if (isNaN(Date.parse(from)) || isNaN(Date.parse(to))) return res.status(400).json({ error: "from/to must be dates" });
+
+  try {
+    const { overall, groups } = await buildCourierScorecard({ from, to, groupBy, courier: req.query.courier });
+    if (req.query.format === "csv") {
+      const columns = [...groupBy, ...SCORECARD_METRICS];
+      const lines = [csvRow(columns), ...groups.map(g => csvRow(columns.map(c => g[c])))];
+      if (overall) lines.push(csvRow([...groupBy.map((_, i) => i === 0 ? "ALL" : ""), ...SCORECARD_METRICS.map(m => overall[m])]));
+      res.setHeader("Content-Disposition", `attachment; filename="courier_scorecard_${groupBy.join("_")}.csv"`);
+      return res.type("text/csv").send(lines.join(""));
+    }
+    res.json({ from, to, group_by: groupBy, overall, groups });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/* ===============================
+   💰 COD REMITTANCE RECONCILIATION
+================================ */
+// Couriers remit COD collections in batches and send a statement per remittance (Shiprocket CSV
+// export or API rows, BlueDart COD statement CSV). Statement lines are stored as-is, then every
+// delivered or returned COD order is compared with what was remitted against its AWBs.
+const COD_AMOUNT_TOLERANCE = 1; // rupees, couriers round collected amounts
+
+function codRemittanceDays() {
+  return parseInt(COD_REMITTANCE_DAYS) || 10;
+}
+
+// Header aliases across Shiprocket, BlueDart and hand-made sheets
+const REMITTANCE_FIELDS = {
+  awb: AWB_HEADER_ALIASES,
+  amount: ["cod_amount", "remitted_amount", "remittance_amount", "collected_amount", "cod_value", "net_amount", "amount"],
+  remitted_on: ["remittance_date", "remitted_on", "remitted_date", "deposit_date", "payment_date", "crf_date", "date"],
+  utr: ["utr", "utr_no", "utr_number", "cheque_utr_no", "cheque_no", "crf_id", "remittance_id", "reference", "transaction_id"]
+};
+
+function normalizeRemittanceRow(row) {
+  const f = aliasedFields(row, REMITTANCE_FIELDS);
+  const awb = String(f.awb ?? "").trim().replace(/^'/, "");
+  const amount = csvNumber(f.amount);
+  if (!awb || amount === null) return null;
+  return {
+    awb, amount,
+    remitted_on: f.remitted_on ? eddDateKey(String(f.remitted_on).trim().replace(/\//g, "-")) : null,
+    utr: String(f.utr ?? "").trim()
+  };
+}
+
+// Same lines in any order hash the same, so a re-sorted re-upload of a statement is still caught
+function remittanceContentHash(lines) {
+  const keys = lines.map(l => [l.awb, l.amount, l.remitted_on || "", l.utr].join("|")).sort();
+  return crypto.createHash("sha256").update(keys.join("\n")).digest("hex");
+}
+
+async function insertRemittances(batchId, courier, lines) {
+  // A statement repeats an AWB only when it is split across UTRs; keep one line per (awb, utr).
+  // Lines without a UTR carry their line number in this statement instead, so split payouts aren't dropped.
+  const unique = [...new Map(lines.map(l => [`${l.awb}|${l.utr}|${l.line_no}`, l])).values()];
+  if (unique.length === 0) return 0;
+  const r = await pool.query(`
+    INSERT INTO cod_remittances (batch_id, courier, awb, amount, remitted_on, utr, line_no, raw)
+    SELECT $1::int, $2::text, * FROM unnest($3::text[], $4::numeric[], $5::date[], $6::text[], $7::int[], $8::jsonb[])
+    ON CONFLICT DO NOTHING
+  `, [
+    batchId, courier, unique.map(l => l.awb), unique.map(l => l.amount), unique.map(l => l.remitted_on),
+    unique.map(l => l.utr), unique.map(l => l.line_no), unique.map(l => JSON.stringify(l.raw))
+  ]);
+  return r.rowCount;
+}
+
+// Recomputes cod_reconciliation for COD orders (all from the last 120 days, or just orderIds).
+// Orders still in transit with nothing remitted are left out until they deliver or return.
+async function reconcileCodOrders(orderIds = null) {
+  const params = [codRemittanceDays(), COD_AMOUNT_TOLERANCE];
+  if (orderIds) params.push(orderIds);
+  const { rowCount } = await pool.query(`
+    WITH cod AS (
+      SELECT o.id AS order_id, o.order_number, NULLIF(o.total_price, '')::numeric AS expected,
+        array_agg(s.awb ORDER BY s.awb) AS awbs, MIN(s.courier_source) AS courier,
+        bool_and(s.last_state = 'DELIVERED') AS delivered,
+        bool_or(s.last_state IN ('RTO_IN_TRANSIT', 'RTO_DELIVERED')) AS returned,
+        MAX(s.delivered_at) AS delivered_at
+      FROM orders_ops o JOIN shipments_ops s ON s.order_id = o.id
+      WHERE ${COD_ORDER_SQL}
+        ${orderIds ? "AND o.id = ANY($3)" : "AND o.created_at > NOW() - INTERVAL '120 days'"}
+      GROUP BY o.id
+    ), paid AS (
+      -- Only the shipment's own courier can remit for it; another courier reusing the AWB doesn't count
+      SELECT c.order_id, SUM(r.amount) AS remitted, MAX(r.remitted_on) AS last_remitted_on
+      FROM cod c JOIN shipments_ops s ON s.order_id = c.order_id
+        JOIN cod_remittances r ON r.awb = s.awb AND r.courier = LOWER(s.courier_source)
+      GROUP BY c.order_id
+    ), judged AS (
+      SELECT c.*, COALESCE(p.remitted, 0) AS remitted, p.last_remitted_on,
+        CASE
+          WHEN c.returned AND p.remitted > 0 THEN 'rto_remitted'
+          WHEN p.remitted > 0 AND p.remitted < c.expected - $2 THEN 'short_paid'
+          WHEN p.remitted > 0 AND p.remitted > c.expected + $2 THEN 'over_paid'
+          WHEN p.remitted > 0 THEN 'matched'
+          WHEN c.returned THEN 'rto'
+          WHEN c.delivered AND c.delivered_at < NOW() - ($1 * INTERVAL '1 day') THEN 'missing'
+          WHEN c.delivered THEN 'awaiting'
+        END AS status
+      FROM cod c LEFT JOIN paid p ON p.order_id = c.order_id
+    )
+    INSERT INTO cod_reconciliation (order_id, order_number, awbs, courier, expected_amount, remitted_amount,
+      status, delivered_at, last_remitted_on)
+    SELECT order_id, order_number, awbs, courier, expected, remitted, status, delivered_at, last_remitted_on
+    FROM judged WHERE status IS NOT NULL
+    ON CONFLICT (order_id) DO UPDATE SET
+      awbs = EXCLUDED.awbs, courier = EXCLUDED.courier, expected_amount = EXCLUDED.expected_amount,
+      remitted_amount = EXCLUDED.remitted_amount, delivered_at = EXCLUDED.delivered_at,
+      last_remitted_on = EXCLUDED.last_remitted_on,
+      status_since = CASE WHEN cod_reconciliation.status = EXCLUDED.status THEN cod_reconciliation.status_since ELSE NOW() END,
+      status = EXCLUDED.status, updated_at = NOW()
+  `, params);
+  return rowCount;
+}
+
+// { courier, format: "csv" | "json", content (csv text) | rows (API records), file_name?, reference? }
+// A statement with the same lines as an earlier batch (in any order) is refused with 409.
+app.post("/recon/cod/remittances", async (req, res) => {
+  if (!(await verifyAdmin(req, "finance:cod"))) return res.status(403).json({ error: "Unauthorized" });
+  const { format = "csv", content, rows, file_name, reference } = req.body || {};
+  const courier = getCourier(req.body?.courier)?.name;
+  if (!courier) return res.status(400).json({ error: `Unknown courier: ${req.body?.courier}` });
+  if (!["csv", "json"].includes(format)) return res.status(400).json({ error: "format must be csv or json" });
+  if (format === "csv" && typeof content !== "string") return res.status(400).json({ error: "content (CSV text) required" });
+  if (format === "json" && !Array.isArray(rows)) return res.status(400).json({ error: "rows array required" });
+
+  const records = format === "csv" ? parseCsv(content) : rows;
+  const lines = [];
+  const rejected = [];
+  records.forEach((raw, idx) => {
+    const line = normalizeRemittanceRow(raw || {});
+    if (line) lines.push({ ...line, line_no: line.utr ? 0 : idx + 1, raw });
+    else rejected.push(idx + 1);
+  });
+  if (lines.length === 0) return res.status(400).json({ error: "No rows with an AWB and amount", rejected_rows: rejected.length });
+
+  try {
+    const uploadedBy = req.headers["x-admin-user"] || req.adminKey?.name || null;
+    const contentHash = remittanceContentHash(lines);
+    const batch = await pool.query(`
+      INSERT INTO cod_remittance_batches (courier, format, file_name, reference, rows_total, uploaded_by, content_hash)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (courier, content_hash) DO NOTHING RETURNING id
+    `, [courier, format, file_name || null, reference || null, records.length, uploadedBy, contentHash]);
+    if (batch.rows.length === 0) {
+      const { rows: [previous] } = await pool.query(
+        `SELECT id, created_at FROM cod_remittance_batches WHERE courier = $1 AND content_hash = $2`, [courier, contentHash]
+      );
+      return res.status(409).json({ error: "This statement was already uploaded", batch_id: previous?.id, uploaded_at: previous?.created_at });
+    }
+    const batchId = batch.rows[0].id;
+    const inserted = await insertRemittances(batchId, courier, lines);
+    await pool.query(`UPDATE cod_remittance_batches SET rows_inserted = $2 WHERE id = $1`, [batchId, inserted]);
+
+    const { rows: known } = await pool.query(
+      `SELECT awb, order_id FROM shipments_ops WHERE awb = ANY($1)`, [[...new Set(lines.map(l => l.awb))]]
+    );
+    const orderIds = [...new Set(known.map(k => k.order_id).filter(Boolean))];
+    const reconciled = orderIds.length ? await reconcileCodOrders(orderIds) : 0;
+    logEvent('INFO', 'COD_RECON', `Remittance batch ${batchId} (${courier}): ${inserted} new lines`, {
+      batch_id: batchId, rows: records.length, duplicates: lines.length - inserted, rejected: rejected.length
+    });
+    res.json({
+      batch_id: batchId, rows: records.length, inserted, duplicates: lines.length - inserted,
+      rejected_rows: rejected.slice(0, 50), unknown_awbs: new Set(lines.map(l => l.awb)).size - known.length,
+      orders_reconciled: reconciled
+    });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get("/recon/cod/batches", async (req, res) => {
+  if (!(await verifyAdmin(req, "finance:cod"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const { rows } = await pool.query(`SELECT * FROM cod_remittance_batches ORDER BY id DESC LIMIT 100`);
+    res.json({ batches: rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post("/recon/cod/run", async (req, res) => {
+  if (!(await verifyAdmin(req, "finance:cod"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    res.json({ reconciled: await reconcileCodOrders() });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ?status=short_paid,missing  ?courier=  ?limit=  (newest status change first)
+app.get("/recon/cod", async (req, res) => {
+  if (!(await verifyAdmin(req, "finance:cod"))) return res.status(403).json({ error: "Unauthorized" });
+  const params = [Math.min(parseInt(req.query.limit) || 200, 1000)];
+  const where = [];
+  if (req.query.status) { params.push(String(req.query.status).split(",")); where.push(`status = ANY($${params.length})`); }
+  if (req.query.courier) { params.push(req.query.courier); where.push(`courier = $${params.length}`); }
+  try {
+    const { rows } = await pool.query(`
+      SELECT *, remitted_amount - expected_amount AS difference FROM cod_reconciliation
+      ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY status_since DESC LIMIT $1
+    `, params);
+    res.json({ orders: rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get("/recon/cod/summary", async (req, res) => {
+  if (!(await verifyAdmin(req, "finance:cod"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const [byStatus, unmatched] = await Promise.all([
+      pool.query(`
+        SELECT courier, status, COUNT(*)::int AS orders, SUM(expected_amount)::float AS expected,
+          SUM(remitted_amount)::float AS remitted, SUM(remitted_amount - expected_amount)::float AS difference
+        FROM cod_reconciliation GROUP BY courier, status ORDER BY courier, status
+      `),
+      // Remitted lines that don't match one of our shipments with that courier
+      pool.query(`
+        SELECT r.courier, COUNT(*)::int AS lines, SUM(r.amount)::float AS amount
+        FROM cod_remittances r LEFT JOIN shipments_ops s ON s.awb = r.awb AND LOWER(s.courier_source) = r.courier
+        WHERE s.awb IS NULL GROUP BY r.courier
+      `)
+    ]);
+    const totals = {};
+    for (const r of byStatus.rows) {
+      const t = totals[r.status] ||= { orders: 0, expected: 0, remitted: 0 };
+      t.orders += r.orders; t.expected += r.expected || 0; t.remitted += r.remitted || 0;
+    }
+    res.json({
+      missing_after_days: codRemittanceDays(),
+      totals, by_courier: byStatus.rows, unmatched_remittances: unmatched.rows
+    });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/* ===============================
+   🧾 FREIGHT INVOICE AUDIT
+================================ */
+// Courier invoices bill each AWB at an applied weight and zone. Every line is re-priced from our
+// own data: item weight from the order's line_items (grams per unit) plus packaging, and the
+// courier's rate card for the billed zone. Anything billed above that is a disputable overcharge.
+const PACKAGING_ALLOWANCE_GRAMS = 150;
+const FREIGHT_AMOUNT_TOLERANCE = 1; // rupees
+
+const FREIGHT_INVOICE_FIELDS = {
+  awb: AWB_HEADER_ALIASES,
+  zone: ["zone", "billing_zone", "rate_zone", "billed_zone"],
+  billed_weight: ["billed_weight", "charged_weight", "applied_weight", "chargeable_weight", "billed_weight_kg", "weight"],
+  freight: ["freight", "freight_charge", "freight_charges", "forward_charge", "forward_charges", "fwd_charges", "base_freight"],
+  cod_charge: ["cod_charge", "cod_charges", "cod_fee"],
+  rto_charge: ["rto_charge", "rto_charges", "rto_freight"],
+  total: ["total", "total_amount", "total_charges", "net_amount", "amount"]
+};
+
+function normalizeFreightLine(row) {
+  const f = aliasedFields(row, FREIGHT_INVOICE_FIELDS);
+  const awb = String(f.awb ?? "").trim().replace(/^'/, "");
+  if (!awb) return null;
+  return {
+    awb,
+    zone: f.zone ? String(f.zone).trim().toUpperCase() : null,
+    billed_weight_kg: csvNumber(f.billed_weight),
+    freight: csvNumber(f.freight),
+    cod_charge: csvNumber(f.cod_charge),
+    rto_charge: csvNumber(f.rto_charge),
+    total: csvNumber(f.total)
+  };
+}
+
+// Couriers bill adjustments (RTO, COD, weight disputes) as extra rows for the same AWB, so rows are
+// folded into one line per AWB: charges summed, the highest billed weight, the first zone given.
+// raw keeps every source row.
+function mergeFreightLines(rows) {
+  const byAwb = new Map();
+  const add = (a, b) => (a === null && b === null ? null : (a || 0) + (b || 0));
+  for (const { line, raw } of rows) {
+    const prev = byAwb.get(line.awb);
+    if (!prev) { byAwb.set(line.awb, { ...line, raw: [raw] }); continue; }
+    prev.zone = prev.zone || line.zone;
+    prev.billed_weight_kg = line.billed_weight_kg === null ? prev.billed_weight_kg
+      : Math.max(prev.billed_weight_kg ?? 0, line.billed_weight_kg);
+    for (const k of ["freight", "cod_charge", "rto_charge", "total"]) prev[k] = add(prev[k], line[k]);
+    prev.raw.push(raw);
+  }
+  return [...byAwb.values()];
+}
+
+function rateCardWeight(kg, card) {
+  const slab = Number(card.slab_kg) || 0.5;
+  return Math.max(Number(card.base_weight_kg), Math.ceil(kg / slab - 1e-9) * slab);
+}
+
+function rateCardFreight(kg, card) {
+  const extraSlabs = Math.max(0, Math.ceil((kg - Number(card.base_weight_kg)) / (Number(card.slab_kg) || 0.5) - 1e-9));
+  return Number(card.base_rate) + extraSlabs * Number(card.additional_rate);
+}
+
+// Sum of grams × quantity, or null when any item has no weight in Shopify
+function orderWeightKg(lineItems) {
+  if (!Array.isArray(lineItems) || lineItems.length === 0) return null;
+  if (lineItems.some(li => !(li.grams > 0))) return null;
+  const grams = lineItems.reduce((sum, li) => sum + li.grams * (li.quantity || 1), 0);
+  return (grams + PACKAGING_ALLOWANCE_GRAMS) / 1000;
+}
+
+// Issues: unknown_awb, billed_twice, no_rate_card, weight, freight, cod_charge, rto_charge.
+// Orders split over several AWBs skip the weight check (line_items are per order, not per parcel).
+async function auditFreightInvoice(invoiceId) {
+  const inv = await pool.query(`SELECT courier FROM freight_invoices WHERE id = $1`, [invoiceId]);
+  if (inv.rows.length === 0) return null;
+  const cards = await pool.query(`SELECT * FROM rate_cards WHERE courier = $1 AND active`, [inv.rows[0].courier]);
+  const cardByZone = new Map(cards.rows.map(c => [c.zone.toUpperCase(), c]));
+
+  const { rows } = await pool.query(`
+    SELECT l.id, l.zone, l.billed_weight_kg::float, l.freight::float, l.cod_charge::float, l.rto_charge::float,
+      s.awb IS NOT NULL AS known, s.last_state, o.line_items, NULLIF(o.total_price, '')::float AS order_value,
+      COALESCE(${COD_ORDER_SQL}, FALSE) AS is_cod,
+      (SELECT COUNT(*) FROM shipments_ops s2 WHERE s2.order_id = s.order_id)::int AS order_shipments,
+      EXISTS (
+        SELECT 1 FROM freight_invoice_lines l2 JOIN freight_invoices f2 ON f2.id = l2.invoice_id
+        WHERE l2.awb = l.awb AND l2.invoice_id < l.invoice_id AND f2.courier = $2 AND l2.freight > 0
+      ) AND l.freight > 0 AS billed_elsewhere
+    FROM freight_invoice_lines l
+    LEFT JOIN shipments_ops s ON s.awb = l.awb
+    LEFT JOIN orders_ops o ON o.id = s.order_id
+    WHERE l.invoice_id = $1
+  `, [invoiceId, inv.rows[0].courier]);
+
+  const over = (billed, expected) => billed !== null && expected !== null && billed > expected + FREIGHT_AMOUNT_TOLERANCE
+    ? billed - expected : 0;
+  const results = rows.map(l => {
+    const issues = [];
+    if (!l.known) issues.push("unknown_awb");
+    if (l.billed_elsewhere) issues.push("billed_twice");
+    const card = cardByZone.get(l.zone);
+    if (!card) issues.push("no_rate_card");
+
+    const itemsKg = l.known && l.order_shipments === 1 ? orderWeightKg(l.line_items) : null;
+    const expectedWeight = itemsKg === null ? null : card ? rateCardWeight(itemsKg, card) : itemsKg;
+    if (card && expectedWeight !== null && l.billed_weight_kg > expectedWeight) issues.push("weight");
+
+    // Without a trustworthy weight the billed one is priced, which still catches rate overcharges
+    const pricedKg = expectedWeight ?? l.billed_weight_kg;
+    const expectedFreight = card && pricedKg !== null ? rateCardFreight(pricedKg, card) : null;
+    const expectedCod = card && l.known
+      ? (l.is_cod ? Math.max(Number(card.cod_fixed) || 0, (Number(card.cod_percent) || 0) / 100 * (l.order_value || 0)) : 0)
+      : null;
+    const returned = ["RTO_IN_TRANSIT", "RTO_DELIVERED"].includes(l.last_state);
+    const expectedRto = card && l.known && expectedFreight !== null
+      ? (returned ? expectedFreight * (card.rto_percent === null ? 100 : Number(card.rto_percent)) / 100 : 0)
+      : null;
+
+    // A second forward charge for the same AWB is disputed in full
+    const overcharge = {
+      freight: l.billed_elsewhere ? l.freight || 0 : over(l.freight, expectedFreight),
+      cod_charge: over(l.cod_charge, expectedCod),
+      rto_charge: over(l.rto_charge, expectedRto)
+    };
+    if (!l.billed_elsewhere && overcharge.freight > 0) issues.push("freight");
+    if (overcharge.cod_charge > 0) issues.push("cod_charge");
+    if (overcharge.rto_charge > 0) issues.push("rto_charge");
+    const round = v => v === null ? null : +v.toFixed(2);
+    return {
+      id: l.id, expected_weight_kg: round(expectedWeight), expected_freight: round(expectedFreight),
+      expected_cod_charge: round(expectedCod), expected_rto_charge: round(expectedRto),
+      overcharge: round(overcharge.freight + overcharge.cod_charge + overcharge.rto_charge), issues
+    };
+  });
+
+  if (results.length) {
+    await pool.query(`
+      UPDATE freight_invoice_lines l SET expected_weight_kg = u.w, expected_freight = u.f, expected_cod_charge = u.c,
+        expected_rto_charge = u.r, overcharge = u.o, issues = ARRAY(SELECT jsonb_array_elements_text(u.i))
+      FROM unnest($1::bigint[], $2::numeric[], $3::numeric[], $4::numeric[], $5::numeric[], $6::numeric[], $7::jsonb[])
+        AS u(id, w, f, c, r, o, i)
+      WHERE l.id = u.id
+    `, [
+      results.map(r => r.id), results.map(r => r.expected_weight_kg), results.map(r => r.expected_freight),
+      results.map(r => r.expected_cod_charge), results.map(r => r.expected_rto_charge), results.map(r => r.overcharge),
+      results.map(r => JSON.stringify(r.issues))
+    ]);
+  }
+  await pool.query(`UPDATE freight_invoices SET audited_at = NOW() WHERE id = $1`, [invoiceId]);
+  return {
+    lines: results.length,
+    flagged: results.filter(r => r.issues.length).length,
+    overcharge: +results.reduce((sum, r) => sum + r.overcharge, 0).toFixed(2)
+  };
+}
+
+app.get("/admin/rate-cards", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const { rows } = await pool.query(`SELECT * FROM rate_cards ORDER BY courier, active DESC, zone`);
+    res.json({ rate_cards: rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// { courier, zone, base_rate, base_weight_kg?, slab_kg?, additional_rate?, cod_fixed?, cod_percent?, rto_percent? }
+// One card per courier + zone; posting again replaces it.
+app.post("/admin/rate-cards", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  const b = req.body || {};
+  const courier = getCourier(b.courier)?.name;
+  if (!courier) return res.status(400).json({ error: `Unknown courier: ${b.courier}` });
+  if (!b.zone || !(Number(b.base_rate) >= 0)) return res.status(400).json({ error: "zone and base_rate required" });
+  const num = (v, dflt) => v === undefined || v === null || v === "" ? dflt : Number(v);
+  if (!(num(b.slab_kg, 0.5) > 0)) return res.status(400).json({ error: "slab_kg must be positive" });
+  try {
+    const { rows } = await pool.query(`
+      INSERT INTO rate_cards (courier, zone, base_weight_kg, base_rate, slab_kg, additional_rate, cod_fixed, cod_percent, rto_percent)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (courier, zone) DO UPDATE SET
+        base_weight_kg = EXCLUDED.base_weight_kg, base_rate = EXCLUDED.base_rate, slab_kg = EXCLUDED.slab_kg,
+        additional_rate = EXCLUDED.additional_rate, cod_fixed = EXCLUDED.cod_fixed, cod_percent = EXCLUDED.cod_percent,
+        rto_percent = EXCLUDED.rto_percent, active = TRUE, updated_at = NOW()
+      RETURNING *
+    `, [courier, String(b.zone).trim().toUpperCase(), num(b.base_weight_kg, 0.5), Number(b.base_rate), num(b.slab_kg, 0.5),
+        num(b.additional_rate, 0), num(b.cod_fixed, 0), num(b.cod_percent, 0), num(b.rto_percent, 100)]);
+    logEvent('INFO', 'FREIGHT_AUDIT', `Rate card ${courier}/${rows[0].zone} saved`);
+    res.json({ rate_card: rows[0] });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post("/admin/rate-cards/:id/deactivate", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:config"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const r = await pool.query(`UPDATE rate_cards SET active = FALSE, updated_at = NOW() WHERE id = $1`, [req.params.id]);
+    if (r.rowCount === 0) return res.status(404).json({ error: "Rate card not found" });
+    res.json({ success: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// { courier, invoice_number, invoice_date?, content (CSV), file_name? }
+// Re-uploading an invoice number replaces its lines. skipped counts rows without an AWB, merged
+// the extra rows folded into an AWB's line.
+app.post("/recon/freight/invoices", async (req, res) => {
+  if (!(await verifyAdmin(req, "finance:freight"))) return res.status(403).json({ error: "Unauthorized" });
+  const { invoice_number: invoiceNumber, invoice_date: invoiceDate, content, file_name } = req.body || {};
+  const courier = getCourier(req.body?.courier)?.name;
+  if (!courier) return res.status(400).json({ error: `Unknown courier: ${req.body?.courier}` });
+  if (!invoiceNumber) return res.status(400).json({ error: "invoice_number required" });
+  if (typeof content !== "string") return res.status(400).json({ error: "content (CSV text) required" });
+  if (invoiceDate && !/^\d{4}-\d{2}-\d{2}$/.test(invoiceDate)) return res.status(400).json({ error: "invoice_date must be YYYY-MM-DD" });
+
+  const records = parseCsv(content);
+  const parsed = records.map(raw => ({ line: normalizeFreightLine(raw), raw }));
+  const withAwb = parsed.filter(p => p.line);
+  const lines = mergeFreightLines(withAwb);
+  if (lines.length === 0) return res.status(400).json({ error: "No rows with an AWB" });
+
+  const client = await pool.connect();
+  let invoiceId;
+  try {
+    await client.query("BEGIN");
+    const inv = await client.query(`
+      INSERT INTO freight_invoices (courier, invoice_number, invoice_date, file_name, rows_total, uploaded_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (courier, invoice_number) DO UPDATE SET
+        invoice_date = EXCLUDED.invoice_date, file_name = EXCLUDED.file_name, rows_total = EXCLUDED.rows_total,
+        uploaded_by = EXCLUDED.uploaded_by, audited_at = NULL
+      RETURNING id
+    `, [courier, String(invoiceNumber), invoiceDate || null, file_name || null, records.length,
+        req.headers["x-admin-user"] || req.adminKey?.name || null]);
+    invoiceId = inv.rows[0].id;
+    await client.query(`DELETE FROM freight_invoice_lines WHERE invoice_id = $1`, [invoiceId]);
+    await client.query(`
+      INSERT INTO freight_invoice_lines (invoice_id, awb, zone, billed_weight_kg, freight, cod_charge, rto_charge, total, raw)
+      SELECT $1::int, * FROM unnest($2::text[], $3::text[], $4::numeric[], $5::numeric[], $6::numeric[], $7::numeric[], $8::numeric[], $9::jsonb[])
+    `, [invoiceId, lines.map(l => l.awb), lines.map(l => l.zone), lines.map(l => l.billed_weight_kg), lines.map(l => l.freight),
+        lines.map(l => l.cod_charge), lines.map(l => l.rto_charge), lines.map(l => l.total), lines.map(l => JSON.stringify(l.raw))]);
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    return res.status(500).json({ error: e.message });
+  } finally {
+    client.release();
+  }
+
+  try {
+    const audit = await auditFreightInvoice(invoiceId);
+    logEvent('INFO', 'FREIGHT_AUDIT', `Invoice ${invoiceNumber} (${courier}) imported`, { invoice_id: invoiceId, ...audit });
+    res.json({
+      invoice_id: invoiceId, rows: records.length, lines: lines.length,
+      skipped: records.length - withAwb.length, merged: withAwb.length - lines.length, ...audit
+    });
+  } catch (e) { res.status(500).json({ error: e.message, invoice_id: invoiceId }); }
+});
+
+app.get("/recon/freight/invoices", async (req, res) => {
+  if (!(await verifyAdmin(req, "finance:freight"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const { rows } = await pool.query(`
+      SELECT f.*, COUNT(l.id)::int AS lines, SUM(l.total)::float AS billed_total,
+        (COUNT(l.id) FILTER (WHERE cardinality(l.issues) > 0))::int AS flagged, SUM(l.overcharge)::float AS overcharge
+      FROM freight_invoices f LEFT JOIN freight_invoice_lines l ON l.invoice_id = f.id
+      GROUP BY f.id ORDER BY f.id DESC LIMIT 100
+    `);
+    res.json({ invoices: rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Re-price after rate card changes or once late shipments have synced
+app.post("/recon/freight/invoices/:id/audit", async (req, res) => {
+  if (!(await verifyAdmin(req, "finance:freight"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const audit = await auditFreightInvoice(req.params.id);
+    if (!audit) return res.status(404).json({ error: "Invoice not found" });
+    res.json(audit);
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Dispute file: every line with an issue other than a missing rate card (that one is ours to fix).
+// ?format=csv to send to the courier, JSON otherwise.
+app.get("/recon/freight/invoices/:id/discrepancies", async (req, res) => {
+  if (!(await verifyAdmin(req, "finance:freight"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const inv = await pool.query(`SELECT * FROM freight_invoices WHERE id = $1`, [req.params.id]);
+    if (inv.rows.length === 0) return res.status(404).json({ error: "Invoice not found" });
+    const { rows } = await pool.query(`
+      SELECT l.awb, o.order_number, l.zone, l.billed_weight_kg::float, l.expected_weight_kg::float,
+        l.freight::float AS billed_freight, l.expected_freight::float,
+        l.cod_charge::float AS billed_cod_charge, l.expected_cod_charge::float,
+        l.rto_charge::float AS billed_rto_charge, l.expected_rto_charge::float,
+        l.total::float AS billed_total, l.overcharge::float, array_to_string(l.issues, ';') AS issues
+      FROM freight_invoice_lines l
+      LEFT JOIN shipments_ops s ON s.awb = l.awb
+      LEFT JOIN orders_ops o ON o.id = s.order_id
+      WHERE l.invoice_id = $1 AND cardinality(array_remove(l.issues, 'no_rate_card')) > 0
+      ORDER BY l.overcharge DESC NULLS LAST, l.awb
+    `, [req.params.id]);
+    const invoice = inv.rows[0];
+    if (req.query.format === "csv") {
+      const columns = ["awb", "order_number", "zone", "billed_weight_kg", "expected_weight_kg", "billed_freight", "expected_freight",
+        "billed_cod_charge", "expected_cod_charge", "billed_rto_charge", "expected_rto_charge", "billed_total", "overcharge", "issues"];
+      res.setHeader("Content-Disposition", `attachment; filename="dispute_${invoice.courier}_${invoice.invoice_number.replace(/[^\w-]/g, "_")}.csv"`);
+      return res.type("text/csv").send([csvRow(columns), ...rows.map(r => csvRow(columns.map(c => r[c])))].join(""));
+    }
+    res.json({
+      invoice, disputed_lines: rows.length,
+      overcharge: +rows.reduce((sum, r) => sum + (r.overcharge || 0), 0).toFixed(2), lines: rows
+    });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/* ===============================
+   🛍️ SHOPIFY EVENT QUEUE ADMIN
+================================ */
+app.get("/admin/shopify-events", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:sync"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const { rows } = await pool.query(`
+      SELECT * FROM shopify_fulfillment_events
+      WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR awb = $2)
+      ORDER BY created_at DESC LIMIT 200
+    `, [req.query.status || null, req.query.awb || null]);
+    res.json({ events: rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post("/admin/shopify-events/retry", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:sync"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const r = await pool.query(`
+      UPDATE shopify_fulfillment_events SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+      WHERE status = 'dead'
+    `);
+    res.json({ requeued: r.rowCount });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/* ===============================
+   🧵 OPS JOB RUNNER
+================================ */
+// Admin operations run as rows in ops_jobs, claimed with SKIP LOCKED so any instance can pick them up.
+// Handlers: { run(job, ctx), cancel?(job) }. ctx.progress(done, total) saves progress and returns
+// false once the job has been cancelled, so long loops can stop early.
+const OPS_JOB_CONCURRENCY = 2;
+const OPS_JOB_MAX_ATTEMPTS = 3;
+const OPS_JOB_STALE_MINUTES = 5;
+
+const jobHandlers = new Map();
+let activeOpsJobs = 0;
+
+function registerJobHandler(type, handler) {
+  jobHandlers.set(type, handler);
+}
+
+// Returns { job, created }. When dedupKey already has an active job, that job is returned instead.
+async function enqueueJob(type, params = {}, dedupKey = null) {
+  const { rows } = await pool.query(`
+    INSERT INTO ops_jobs (type, params, dedup_key) VALUES ($1, $2::jsonb, $3)
+    ON CONFLICT (dedup_key) WHERE status IN ('queued', 'running') DO NOTHING
+    RETURNING *
+  `, [type, JSON.stringify(params), dedupKey]);
+  if (rows[0]) return { job: rows[0], created: true };
+
+  const existing = await pool.query(
+    `SELECT * FROM ops_jobs WHERE dedup_key = $1 AND status IN ('queued', 'running')`, [dedupKey]
+  );
+  return { job: existing.rows[0] || null, created: false };
+}
+
+async function executeOpsJob(job) {
+  const handler = jobHandlers.get(job.type);
+  const heartbeat = setInterval(() => {
+    pool.query(`UPDATE ops_jobs SET heartbeat_at = NOW() WHERE id = $1 AND status = 'running'`, [job.id]).catch(() => {});
+  }, 30000);
+
+  const ctx = {
+    progress: async (done, total = null) => {
+      const { rows } = await pool.query(`
+        UPDATE ops_jobs SET progress_done = $2, progress_total = COALESCE($3, progress_total), heartbeat_at = NOW()
+        WHERE id = $1 RETURNING status
+      `, [job.id, done, total]);
+      return rows[0]?.status === 'running';
+    }
+  };
+
+  try {
+    if (!handler) throw new Error(`No handler for job type ${job.type}`);
+    await handler.run(job, ctx);
+    await pool.query(`UPDATE ops_jobs SET status = 'completed', finished_at = NOW(), last_error = NULL WHERE id = $1 AND status = 'running'`, [job.id]);
+    logEvent('INFO', 'JOBS', `Job ${job.id} (${job.type}) completed`);
+  } catch (e) {
+    // If this write fails too, the stale-heartbeat sweep in opsJobTick requeues the job
+    await pool.query(`UPDATE ops_jobs SET status = 'failed', finished_at = NOW(), last_error = $2 WHERE id = $1 AND status = 'running'`, [job.id, e.message])
+      .catch(err => console.error(`Job ${job.id} status update failed:`, err.message));
+    logEvent('ERROR', 'JOBS', `Job ${job.id} (${job.type}) failed`, { error: e.message });
+  } finally {
+    clearInterval(heartbeat);
+    activeOpsJobs--;
+  }
+}
+
+async function opsJobTick() {
+  try {
+    // Jobs whose worker died go back to the queue (or fail once they have used their attempts)
+    await pool.query(`
+      UPDATE ops_jobs SET status = CASE WHEN attempts >= $1 THEN 'failed' ELSE 'queued' END,
+        last_error = 'Worker lost (stale heartbeat)', locked_by = NULL
+      WHERE status = 'running' AND heartbeat_at < NOW() - ($2 * INTERVAL '1 minute')
+    `, [OPS_JOB_MAX_ATTEMPTS, OPS_JOB_STALE_MINUTES]);
+
+    while (activeOpsJobs < OPS_JOB_CONCURRENCY) {
+      const { rows } = await pool.query(`
+        UPDATE ops_jobs SET status = 'running', attempts = attempts + 1, locked_by = $1,
+          started_at = COALESCE(started_at, NOW()), heartbeat_at = NOW()
+        WHERE id = (
+          SELECT id FROM ops_jobs WHERE status = 'queued' ORDER BY id ASC LIMIT 1 FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `, [INSTANCE_ID]);
+      if (rows.length === 0) break;
+      activeOpsJobs++;
+      withCorrelation(`job-${rows[0].id}`, () => executeOpsJob(rows[0]))
+        .catch(e => console.error("Job runner error:", e.message));
+    }
+  } catch (e) {
+    console.error("Job runner error:", e.message);
+  }
+}
+
+let opsJobInterval = null;
+
+app.get("/ops/jobs", async (req, res) => {
+  if (!(await verifyAdmin(req, "ops:read"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const { rows } = await pool.query(`
+      SELECT * FROM ops_jobs
+      WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR type = $2)
+      ORDER BY id DESC LIMIT 100
+    `, [req.query.status || null, req.query.type || null]);
+    res.json({ jobs: rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get("/ops/jobs/:id", async (req, res) => {
+  if (!(await verifyAdmin(req, "ops:read"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const { rows } = await pool.query(`SELECT * FROM ops_jobs WHERE id = $1`, [req.params.id]);
+    if (rows.length === 0) return res.status(404).json({ error: "Job not found" });
+    res.json({ job: rows[0] });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post("/ops/jobs/:id/cancel", async (req, res) => {
+  if (!(await verifyAdmin(req, "ops:refresh"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const { rows } = await pool.query(`
+      UPDATE ops_jobs SET status = 'cancelled', finished_at = NOW()
+      WHERE id = $1 AND status IN ('queued', 'running') RETURNING *
+    `, [req.params.id]);
+    if (rows.length === 0) return res.status(409).json({ error: "Job not found or already finished" });
+    await jobHandlers.get(rows[0].type)?.cancel?.(rows[0]);
+    logEvent('INFO', 'JOBS', `Job ${rows[0].id} (${rows[0].type}) cancelled`);
+    res.json({ job: rows[0] });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/* ===============================
+   🔁 SHOPIFY SYNC JOBS
+================================ */
+// Every Shopify pull (deep sync, quick sync, safety net, backfill) is a row in sync_jobs.
+// The cursor is saved after each page, so a failed or interrupted job resumes where it stopped.
+//   REST mode → cursor { next_url }     (Link-header pagination, small windows)
+//   bulk mode → cursor { bulk_id, url, line } (GraphQL Bulk Operation, large windows)
+const SYNC_JOB_MAX_ATTEMPTS = 5;
+const SYNC_PAGE_RETRIES = 3;
+const SYNC_STALE_MINUTES = 3;
+
+function shopifyHeaders() {
+  return { "X-Shopify-Access-Token": clean(SHOPIFY_ACCESS_TOKEN) };
+}
+
+async function createSyncJob({ kind, windowStart = null, windowEnd = null, maxOrders = null, mode = null }) {
+  const days = windowStart ? ((windowEnd ? new Date(windowEnd) : new Date()) - new Date(windowStart)) / 86400000 : 0;
+  const resolvedMode = mode || (!maxOrders && days > (parseInt(SYNC_BULK_MIN_DAYS) || 7) ? "bulk" : "rest");
+  const { rows } = await pool.query(`
+    INSERT INTO sync_jobs (kind, mode, window_start, window_end, max_orders)
+    VALUES ($1, $2, $3, $4, $5) RETURNING *
+  `, [kind, resolvedMode, windowStart, windowEnd, maxOrders]);
+  return rows[0];
+}
+
+// Claims the job for this process. Works across instances: only one UPDATE can win the row.
+async function claimSyncJob(id) {
+  const { rows } = await pool.query(`
+    UPDATE sync_jobs SET status = 'running', attempts = attempts + 1, heartbeat_at = NOW(),
+      started_at = COALESCE(started_at, NOW()), last_error = NULL
+    WHERE id = $1 AND (
+      status IN ('queued', 'failed') OR
+      (status = 'running' AND heartbeat_at < NOW() - ($2 * INTERVAL '1 minute'))
+    )
+    RETURNING *
+  `, [id, SYNC_STALE_MINUTES]);
+  return rows[0] || null;
+}
+
+// Persists progress and doubles as the heartbeat and the cancellation check
+async function saveSyncProgress(id, cursor, syncedDelta, pagesDelta) {
+  const { rows } = await pool.query(`
+    UPDATE sync_jobs SET cursor = $2::jsonb, orders_synced = orders_synced + $3, pages = pages + $4,
+      heartbeat_at = NOW()
+    WHERE id = $1 RETURNING status
+  `, [id, JSON.stringify(cursor), syncedDelta, pagesDelta]);
+  if (rows[0]?.status === 'cancelled') {
+    const err = new Error(`Sync job ${id} cancelled`);
+    err.code = "SYNC_CANCELLED";
+    throw err;
+  }
+}
+
+async function withPageRetries(label, fn) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (attempt >= SYNC_PAGE_RETRIES) throw e;
+      logEvent('WARN', 'SYNC_JOB', `${label} failed, retry ${attempt}/${SYNC_PAGE_RETRIES - 1}`, { error: e.message });
+      await new Promise(res => setTimeout(res, 2000 * attempt));
+    }
+  }
+}
+
+async function runRestSync(job) {
+  let cursor = job.cursor || {};
+  let synced = job.orders_synced;
+  let url = cursor.next_url;
+
+  if (!url) {
+    const params = new URLSearchParams({ status: "any", limit: String(Math.min(job.max_orders || 250, 250)) });
+    if (job.window_start) params.set("updated_at_min", new Date(job.window_start).toISOString());
+    if (job.window_end) params.set("updated_at_max", new Date(job.window_end).toISOString());
+    url = `https://${clean(SHOP_NAME)}.myshopify.com/admin/api/${API_VER}/orders.json?${params}`;
+  }
+
+  while (url) {
+    const r = await withPageRetries(`Job ${job.id} page ${job.pages + 1}`, () => axios.get(url, { headers: shopifyHeaders() }));
+    const orders = r.data.orders || [];
+
+    for (const o of orders) {
+      await syncOrder(o);
+      await new Promise(resolve => setTimeout(resolve, 50)); // Breathe so we don't spam the DB
+    }
+    synced += orders.length;
+
+    const link = r.headers.link || '';
+    const match = link.match(/<([^>]+)>;\s*rel="next"/);
+    const done = orders.length === 0 || (job.max_orders && synced >= job.max_orders);
+    url = !done && match ? match[1] : null;
+
+    await saveSyncProgress(job.id, { next_url: url }, orders.length, 1);
+    job.pages++;
+    logEvent('INFO', 'SYNC_JOB', `Job ${job.id} (${job.kind}) progress: ${synced} orders`);
+  }
+}
+
+async function shopifyGraphql(query, variables = {}) {
+  const r = await axios.post(
+    `https://${clean(SHOP_NAME)}.myshopify.com/admin/api/${API_VER}/graphql.json`,
+    { query, variables },
+    { headers: shopifyHeaders() }
+  );
+  if (r.data.errors) throw new Error(`GraphQL: ${JSON.stringify(r.data.errors).substring(0, 300)}`);
+  return r.data.data;
+}
+
+function bulkOrdersQuery(job) {
+  const terms = [];
+  if (job.window_start) terms.push(`updated_at:>='${new Date(job.window_start).toISOString()}'`);
+  if (job.window_end) terms.push(`updated_at:<='${new Date(job.window_end).toISOString()}'`);
+  return `{
+    orders(query: "${terms.join(" AND ")}") {
+      edges { node {
+        id legacyResourceId name email phone createdAt cancelledAt
+        displayFinancialStatus displayFulfillmentStatus paymentGatewayNames
+        totalPriceSet { shopMoney { amount } }
+        customAttributes { key value }
+        customer { firstName lastName email phone }
+        shippingAddress { firstName lastName address1 address2 city province provinceCode zip country phone }
+        fulfillments { legacyResourceId location { legacyResourceId } trackingInfo { number company } }
+        lineItems { edges { node {
+          id title quantity sku
+          originalUnitPriceSet { shopMoney { amount } }
+          variant { legacyResourceId inventoryItem { measurement { weight { unit value } } } }
+        } } }
+      } }
+    }
+  }`;
+}
+
+const WEIGHT_TO_GRAMS = { GRAMS: 1, KILOGRAMS: 1000, OUNCES: 28.3495, POUNDS: 453.592 };
+
+// Bulk output uses GraphQL shapes; syncOrder expects the REST order JSON
+function bulkOrderToRest(node, lineItems) {
+  const fulfillmentStatus = { FULFILLED: "fulfilled", PARTIALLY_FULFILLED: "partial", RESTOCKED: "restocked" };
+  const addr = node.shippingAddress;
+  return {
+    id: node.legacyResourceId,
+    name: node.name,
+    email: node.email,
+    phone: node.phone,
+    created_at: node.createdAt,
+    cancelled_at: node.cancelledAt,
+    financial_status: node.displayFinancialStatus?.toLowerCase() || null,
+    fulfillment_status: fulfillmentStatus[node.displayFulfillmentStatus] || null,
+    total_price: node.totalPriceSet?.shopMoney?.amount,
+    payment_gateway_names: node.paymentGatewayNames || [],
+    note_attributes: (node.customAttributes || []).map(a => ({ name: a.key, value: a.value })),
+    customer: node.customer && {
+      first_name: node.customer.firstName, last_name: node.customer.lastName,
+      email: node.customer.email, phone: node.customer.phone
+    },
+    shipping_address: addr && {
+      first_name: addr.firstName, last_name: addr.lastName, address1: addr.address1, address2: addr.address2,
+      city: addr.city, province: addr.province, province_code: addr.provinceCode, zip: addr.zip,
+      country: addr.country, phone: addr.phone
+    },
+    line_items: lineItems.map(li => {
+      const w = li.variant?.inventoryItem?.measurement?.weight;
+      return {
+        title: li.title, quantity: li.quantity, sku: li.sku,
+        price: li.originalUnitPriceSet?.shopMoney?.amount,
+        variant_id: li.variant?.legacyResourceId ? Number(li.variant.legacyResourceId) : null,
+        grams: w ? Math.round(w.value * (WEIGHT_TO_GRAMS[w.unit] || 1)) : null
+      };
+    }),
+    fulfillments: (node.fulfillments || []).map(f => ({
+      id: f.legacyResourceId,
+      location_id: f.location?.legacyResourceId || null,
+      tracking_number: f.trackingInfo?.[0]?.number || null,
+      tracking_company: f.trackingInfo?.[0]?.company || null
+    }))
+  };
+}
 
-  let rawDate = await predictBluedartEDD(pincode);
-  let source = "BlueDart";
+async function startBulkOperation(job) {
+  const data = await shopifyGraphql(`
+    mutation($q: String!) {
+      bulkOperationRunQuery(query: $q) { bulkOperation { id status } userErrors { field message } }
+    }
+  `, { q: bulkOrdersQuery(job) });
+  const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+  if (userErrors?.length) throw new Error(`Bulk start: ${userErrors.map(e => e.message).join("; ")}`);
+  return bulkOperation.id;
+}
 
-  if (!rawDate) {
-    rawDate = await predictShiprocketEDD(pincode);
-    source = "Shiprocket";
+async function waitForBulkOperation(job, bulkId) {
+  for (;;) {
+    const data = await withPageRetries(`Job ${job.id} bulk poll`, () => shopifyGraphql(`
+      query($id: ID!) { node(id: $id) { ... on BulkOperation { status errorCode objectCount url } } }
+    `, { id: bulkId }));
+    const op = data.node;
+    if (op?.status === "COMPLETED") return op.url; // url is null when the window had no orders
+    if (!op || ["FAILED", "CANCELED", "EXPIRED"].includes(op.status)) {
+      throw new Error(`Bulk operation ${op?.status || "missing"} ${op?.errorCode || ""}`.trim());
+    }
+    await saveSyncProgress(job.id, { bulk_id: bulkId, line: 0 }, 0, 0);
+    await new Promise(res => setTimeout(res, 10000));
   }
+}
 
-  if (!rawDate) return res.json({ edd_display: null });
+async function runBulkSync(job) {
+  let cursor = job.cursor || {};
 
-  const METRO = ["MUMBAI", "DELHI", "BANGALORE", "PUNE", "HYDERABAD", "CHENNAI", "KOLKATA"];
-  const data = {
-    edd_display: formatConfidenceBand(rawDate),
-    city,
-    badge: city && METRO.some(m => city.toUpperCase().includes(m)) ? "METRO_EXPRESS" : "EXPRESS",
-    source
+  if (!cursor.bulk_id) {
+    cursor = { bulk_id: await startBulkOperation(job), line: 0 };
+    await saveSyncProgress(job.id, cursor, 0, 0);
+    logEvent('INFO', 'SYNC_JOB', `Job ${job.id} bulk operation started`, { bulk_id: cursor.bulk_id });
+  }
+
+  // Download URLs expire; re-poll for a fresh one on every (re)start
+  const url = await waitForBulkOperation(job, cursor.bulk_id);
+  if (!url) return;
+
+  const r = await axios.get(url, { responseType: "stream" });
+  const rl = readline.createInterface({ input: r.data, crlfDelay: Infinity });
+
+  // Children (line items) follow their parent order line; an order is flushed when the next one starts
+  let lineNo = 0;
+  let current = null;
+  let pendingSynced = 0;
+  const skipUntil = cursor.line || 0;
+
+  const flush = async () => {
+    if (!current) return;
+    await syncOrder(bulkOrderToRest(current.node, current.items));
+    pendingSynced++;
+    if (pendingSynced >= 250) {
+      await saveSyncProgress(job.id, { ...cursor, line: current.line }, pendingSynced, 1);
+      logEvent('INFO', 'SYNC_JOB', `Job ${job.id} (${job.kind}) bulk progress: line ${current.line}`);
+      pendingSynced = 0;
+    }
   };
 
-  const EDD_CACHE_MAX = 500;
-  if (eddCache.size >= EDD_CACHE_MAX) {
-    eddCache.delete(eddCache.keys().next().value);
+  for await (const raw of rl) {
+    lineNo++;
+    if (!raw.trim()) continue;
+    const row = JSON.parse(raw);
+    if (row.__parentId) {
+      if (current && lineNo > skipUntil) current.items.push(row);
+      continue;
+    }
+    if (current && current.line > skipUntil) await flush();
+    current = { node: row, items: [], line: lineNo };
   }
-  eddCache.set(pincode, data);
-  res.json(data);
-});
+  if (current && current.line > skipUntil) await flush();
+  await saveSyncProgress(job.id, { ...cursor, line: lineNo }, pendingSynced, 1);
+}
 
-/* ===============================
-   ✅ PAGINATED ORDERS ENDPOINT (OPS) - 🟢 EGRESS PROTECTED
-================================ */
-app.get("/ops/orders", async (req, res) => {
-  if (!verifyAdmin(req)) return res.status(403).json({ error: "Unauthorized" });
+async function runSyncJob(id) {
+  if (!SHOPIFY_ACCESS_TOKEN || !SHOP_NAME) return;
+  const job = await claimSyncJob(id);
+  if (!job) return; // Finished, cancelled, or another instance owns it
 
+  logEvent('INFO', 'SYNC_JOB', `Job ${job.id} (${job.kind}, ${job.mode}) ${job.cursor ? 'resumed' : 'started'}`);
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = Math.min(parseInt(req.query.limit) || 50, 250);
-    const offset = (page - 1) * limit;
-
-    let whereClause = "";
-    let queryArgs = [limit, offset];      
+    if (job.mode === "bulk") await runBulkSync(job);
+    else await runRestSync(job);
 
-    // FRIEND'S FIX 2: We use $3 for the main query, and $1 for the count query later
-    if (req.query.updated_after) {
-      whereClause = `WHERE o.updated_at >= $3 OR s.last_checked_at >= $3 OR r.updated_at >= $3`;
-      queryArgs.push(req.query.updated_after);
+    const { rows } = await pool.query(`
+      UPDATE sync_jobs SET status = 'completed', finished_at = NOW() WHERE id = $1 AND status = 'running'
+      RETURNING orders_synced
+    `, [job.id]);
+    logEvent('INFO', 'SYNC_JOB', `Job ${job.id} (${job.kind}) complete: ${rows[0]?.orders_synced ?? 0} orders`);
+  } catch (e) {
+    if (e.code === "SYNC_CANCELLED") {
+      logEvent('INFO', 'SYNC_JOB', `Job ${job.id} cancelled`);
+      return;
     }
+    await pool.query(`UPDATE sync_jobs SET status = 'failed', last_error = $2 WHERE id = $1 AND status = 'running'`, [job.id, e.message]);
+    logEvent('ERROR', 'SYNC_JOB', `Job ${job.id} failed, will resume from saved cursor`, { error: e.message });
+  }
+}
 
+// Runs on startup and every few minutes: re-enqueues queued jobs, failed jobs with attempts left,
+// and running jobs whose process died (stale heartbeat)
+async function resumeSyncJobs() {
+  try {
     const { rows } = await pool.query(`
-      SELECT
-        o.id, o.order_number, o.created_at, o.financial_status, o.fulfillment_status,
-        o.total_price, o.payment_gateway_names, o.line_items, o.is_exchange, o.is_return, o.source,
-        COALESCE(o.customer_name, s.raw_data->'shipment_track'->0->>'consignee_name', 'Guest') AS customer_name,
-        COALESCE(o.customer_email, s.raw_data->'shipment_track'->0->>'email') AS customer_email,
-        COALESCE(o.customer_phone, s.raw_data->'shipment_track'->0->>'mobile') AS customer_phone,
-        COALESCE(o.city, s.raw_data->'shipment_track'->0->>'destination') AS city,
-        COALESCE(
-          CONCAT(o.shipping_address->>'address1', ', ', o.shipping_address->>'city', ' - ', o.shipping_address->>'zip'),
-          o.city
-        ) AS full_address,
-        s.awb, s.courier_source, s.last_state, s.last_status,
-        s.raw_data->'shipment_track'->0->>'delivered_date' AS delivered_date,
-        s.raw_data->'shipment_track'->0->>'edd' AS expected_delivery_date,
-        (
-          SELECT activity FROM jsonb_to_recordset(
-            CASE WHEN jsonb_typeof(s.raw_data->'shipment_track_activities') = 'array'
-              THEN s.raw_data->'shipment_track_activities' ELSE '[]'::jsonb END
-          ) AS x(activity text, "sr-status" text)
-          WHERE "sr-status" IN ('6','13','14','19','20','21','53','54','55','56') LIMIT 1
-        ) AS ndr_reason,
-        r.status AS return_status
-      FROM orders_ops o
-      -- 🟢 FRIEND'S FIX: LATERAL JOIN picks only the newest AWB if an order has multiples
-      LEFT JOIN LATERAL (
-        SELECT * FROM shipments_ops 
-        WHERE order_id::text = o.id::text 
-        ORDER BY last_checked_at DESC NULLS LAST 
-        LIMIT 1
-      ) s ON true
-      LEFT JOIN returns_ops r ON r.order_number::text = o.order_number::text
-      ${whereClause}
-      ORDER BY o.created_at DESC
-      LIMIT $1 OFFSET $2
-    `, queryArgs);
-
-    // FRIEND'S FIX 3: Safe, fast count query separated out
-    let countRes;
-    
-    if (req.query.updated_after) {
-      countRes = await pool.query(`
-        SELECT COUNT(*)
-        FROM orders_ops o
-        LEFT JOIN shipments_ops s ON s.order_id::text = o.id::text
-        LEFT JOIN returns_ops r ON r.order_number::text = o.order_number::text
-        WHERE o.updated_at >= $1 OR s.last_checked_at >= $1 OR r.updated_at >= $1
-      `, [req.query.updated_after]); 
-    } else {
-      countRes = await pool.query(`SELECT COUNT(*) FROM orders_ops`);
-    }
+      SELECT id FROM sync_jobs
+      WHERE status = 'queued'
+         OR (status = 'failed' AND attempts < $1)
+         OR (status = 'running' AND heartbeat_at < NOW() - ($2 * INTERVAL '1 minute'))
+      ORDER BY id ASC
+    `, [SYNC_JOB_MAX_ATTEMPTS, SYNC_STALE_MINUTES]);
+    for (const r of rows) await launchSyncJob(r);
+  } catch (e) { logEvent('ERROR', 'SYNC_JOB', 'Resume sweep failed', { error: e.message }); }
+}
 
-    const optimizedRows = rows.map(r => ({
-      ...r,
-      line_items: (r.line_items || []).map(item => ({ title: item.title }))
-    }));
+// Sync jobs execute on the ops job runner; the dedup key keeps one runner job per sync job
+async function launchSyncJob(job) {
+  const { job: opsJob } = await enqueueJob("shopify_sync", { sync_job_id: job.id }, `shopify_sync:${job.id}`);
+  return opsJob;
+}
 
-    res.json({
-      orders: optimizedRows,
-      pagination: {
-        total: parseInt(countRes.rows[0].count),
-        page,
-        totalPages: Math.ceil(parseInt(countRes.rows[0].count) / limit)
-      }
-    });
-  } catch (e) {
-    res.status(500).json({ error: "DB Error: " + e.message });
+registerJobHandler("shopify_sync", {
+  run: async (opsJob, ctx) => {
+    const id = opsJob.params.sync_job_id;
+    const mirror = setInterval(async () => {
+      const r = await pool.query(`SELECT orders_synced FROM sync_jobs WHERE id = $1`, [id]).catch(() => null);
+      if (r?.rows[0]) ctx.progress(r.rows[0].orders_synced).catch(() => {});
+    }, 30000);
+    try {
+      await runSyncJob(id);
+    } finally {
+      clearInterval(mirror);
+    }
+    const { rows } = await pool.query(`SELECT status, orders_synced, last_error FROM sync_jobs WHERE id = $1`, [id]);
+    await ctx.progress(rows[0]?.orders_synced || 0);
+    if (rows[0]?.status === 'failed') throw new Error(rows[0].last_error || "Sync job failed");
+  },
+  cancel: async (opsJob) => {
+    await pool.query(`
+      UPDATE sync_jobs SET status = 'cancelled', finished_at = NOW()
+      WHERE id = $1 AND status IN ('queued', 'running', 'failed')
+    `, [opsJob.params.sync_job_id]);
   }
 });
 
-/* ===============================
-   📊 OPS ENDPOINTS
-================================ */
-app.get("/ops/logs", async (req, res) => {
-  if (!verifyAdmin(req)) return res.status(403).json({ error: "Unauthorized" });
-  try {
-    const { rows } = await pool.query(`SELECT * FROM system_logs ORDER BY timestamp DESC LIMIT 100`);
-    res.json({ logs: rows });
-  } catch (e) { res.status(500).json({ error: e.message }); }
-});
-
-app.get("/ops/api-usage", async (req, res) => {
-  if (!verifyAdmin(req)) return res.status(403).json({ error: "Unauthorized" });
+app.post("/admin/sync-jobs", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:sync"))) return res.status(403).json({ error: "Unauthorized" });
+  const { since, until, mode, max_orders: maxOrders } = req.body || {};
+  if (since && isNaN(new Date(since).getTime())) return res.status(400).json({ error: "Invalid since" });
+  if (until && isNaN(new Date(until).getTime())) return res.status(400).json({ error: "Invalid until" });
+  if (mode && !["rest", "bulk"].includes(mode)) return res.status(400).json({ error: "mode must be rest or bulk" });
   try {
-    const { rows } = await pool.query(`
-      SELECT log_date, provider, calls FROM api_usage_ops
-      WHERE log_date >= CURRENT_DATE - INTERVAL '14 days'
-      ORDER BY log_date DESC, provider ASC
-    `);
-    res.json({ usage: rows });
+    const job = await createSyncJob({
+      kind: "custom", windowStart: since || null, windowEnd: until || null,
+      maxOrders: parseInt(maxOrders) || null, mode
+    });
+    const opsJob = await launchSyncJob(job);
+    res.json({ job, ops_job_id: opsJob?.id });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-app.get("/recon/ops", async (req, res) => {
-  if (!verifyAdmin(req)) return res.status(403).json({ error: "Unauthorized" });
+app.get("/admin/sync-jobs", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:sync"))) return res.status(403).json({ error: "Unauthorized" });
   try {
-    const { rows } = await pool.query(`
-      SELECT
-        COUNT(*) FILTER (WHERE is_exchange = FALSE AND is_return = FALSE) AS net_new_orders,
-        COUNT(*) FILTER (WHERE is_return = TRUE) AS total_returns,
-        COUNT(*) FILTER (WHERE financial_status != 'paid' AND fulfillment_status = 'fulfilled') AS cod_at_risk
-      FROM orders_ops
-      WHERE created_at > NOW() - INTERVAL '30 days'
-    `);
-    res.json({ summary: rows[0] });
+    const { rows } = await pool.query(`SELECT * FROM sync_jobs ORDER BY id DESC LIMIT 50`);
+    res.json({ jobs: rows });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-/* ===============================
-   🔍 ADMIN DEBUG TOOLS
-================================ */
-app.get("/admin/debug-awb", async (req, res) => {
-  if (!verifyAdmin(req)) return res.status(403).json({ error: "Unauthorized" });
-  const { awb } = req.query;
-  if (!awb) return res.status(400).json({ error: "AWB Required" });
+app.get("/admin/sync-jobs/:id", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:sync"))) return res.status(403).json({ error: "Unauthorized" });
   try {
-    const { rows } = await pool.query(
-      `SELECT awb, order_id, courier_source, delivered, last_status, last_state, next_check_at, last_checked_at FROM shipments_ops WHERE awb = $1`,
-      [awb]
-    );
-    if (rows.length === 0) return res.status(404).json({ error: "AWB not found" });
-    res.json({ db_row: rows[0] });
+    const { rows } = await pool.query(`SELECT * FROM sync_jobs WHERE id = $1`, [req.params.id]);
+    if (rows.length === 0) return res.status(404).json({ error: "Job not found" });
+    res.json({ job: rows[0] });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-app.get("/admin/debug-order", async (req, res) => {
-  if (!verifyAdmin(req)) return res.status(403).json({ error: "Unauthorized" });
-  const { id } = req.query;
-  if (!id) return res.status(400).json({ error: "Order ID Required" });
+app.post("/admin/sync-jobs/:id/cancel", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:sync"))) return res.status(403).json({ error: "Unauthorized" });
   try {
-    const { rows } = await pool.query(
-      `SELECT id, order_number, financial_status, fulfillment_status, created_at FROM orders_ops WHERE id = $1 OR order_number = $1`,
-      [id]
-    );
-    if (rows.length === 0) return res.status(404).json({ error: "Order not found" });
-    res.json({ db_row: rows[0] });
+    const r = await pool.query(`
+      UPDATE sync_jobs SET status = 'cancelled', finished_at = NOW()
+      WHERE id = $1 AND status IN ('queued', 'running', 'failed') RETURNING *
+    `, [req.params.id]);
+    if (r.rowCount === 0) return res.status(409).json({ error: "Job not found or already finished" });
+    res.json({ job: r.rows[0] });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-app.get("/admin/debug-returns", async (req, res) => {
-  if (!verifyAdmin(req)) return res.status(403).json({ error: "Unauthorized" });
+app.post("/admin/sync-jobs/:id/resume", async (req, res) => {
+  if (!(await verifyAdmin(req, "admin:sync"))) return res.status(403).json({ error: "Unauthorized" });
   try {
-    const { rows } = await pool.query(`SELECT * FROM returns_ops ORDER BY updated_at DESC LIMIT 50`);
-    res.json({ total_records: rows.length, recent_data: rows });
+    const { rows } = await pool.query(`SELECT * FROM sync_jobs WHERE id = $1 AND status = 'failed'`, [req.params.id]);
+    if (rows.length === 0) return res.status(409).json({ error: "Only failed jobs can be resumed" });
+    const opsJob = await launchSyncJob(rows[0]);
+    res.json({ job: rows[0], ops_job_id: opsJob?.id });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-app.get("/admin/circuit-status", async (req, res) => {
-  if (!verifyAdmin(req)) return res.status(403).json({ error: "Unauthorized" });
-  const status = {};
-  for (const [provider, cb] of Object.entries(circuitBreakers)) {
-    status[provider] = {
-      failures: cb.failures,
-      isOpen: cb.openUntil > Date.now(),
-      opensAt: cb.openUntil ? new Date(cb.openUntil).toISOString() : null
-    };
-  }
-  res.json({ circuit_breakers: status });
-});
-
-app.get("/admin/force-single", async (req, res) => {
-  if (!verifyAdmin(req)) return res.status(403).json({ error: "Unauthorized" });
-  
-  // 🟢 THE FIX: We now accept an optional 'force_couriere' query parameter
-  const { awb, force_courier } = req.query; 
-  if (!awb) return res.status(400).json({ error: "AWB Required" });
-  
-  try {
-    const r = await pool.query(`SELECT courier_source FROM shipments_ops WHERE awb = $1`, [awb]);
-    if (r.rows.length === 0) return res.status(404).json({ error: "AWB not in DB" });
-    
-    // 🟢 Decide which courier to ask: use the override if provided, otherwise trust the DB
-    const courierToUse = force_courier || r.rows[0].courier_source;
-    
-    const result = await forceRefreshShipment(awb, courierToUse);
-    res.json({ success: !!result, data: result });
-  } catch (e) { 
-    res.status(500).json({ error: e.message }); 
-  }
-});
-
 /* ===============================
    🚀 DEEP SYNC
 ================================ */
 app.get("/admin/deep-sync", async (req, res) => {
-  if (!verifyAdmin(req)) return res.status(403).json({ error: "Unauthorized" });
-  res.json({ message: "Deep sync started from Jan 1, 2026. Check Render logs for progress." });
-
-  (async () => {
-    const minDate = new Date("2026-01-01T00:00:00Z").toISOString();
-    let url = `https://${clean(SHOP_NAME)}.myshopify.com/admin/api/${API_VER}/orders.json?status=any&limit=250&updated_at_min=${minDate}`;
-    let totalSynced = 0;
-
-    while (url) {
-      try {
-        const r = await axios.get(url, { headers: { "X-Shopify-Access-Token": clean(SHOPIFY_ACCESS_TOKEN) } });
-        const orders = r.data.orders || [];
-        if (orders.length === 0) break;
-
-        for (const o of orders) {
-          await syncOrder(o);
-          await new Promise(resolve => setTimeout(resolve, 50));
-        }
-
-        totalSynced += orders.length;
-        logEvent('INFO', 'DEEP_SYNC', `Progress: ${totalSynced} orders`);
-        console.log(`✅ Synced ${totalSynced} orders so far...`);
-
-        const link = r.headers.link || '';
-        const match = link.match(/<([^>]+)>;\s*rel="next"/);
-        url = match ? match[1] : null;
-      } catch (e) {
-        logEvent('ERROR', 'DEEP_SYNC', 'Page failed', { error: e.message });
-        break;
-      }
-    }
-    logEvent('INFO', 'DEEP_SYNC', `Complete: ${totalSynced} orders synced from Jan 1st.`);
-    console.log(`🎉 DEEP SYNC COMPLETE. Total: ${totalSynced} orders.`);
-  })();
+  if (!(await verifyAdmin(req, "admin:sync"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    const job = await createSyncJob({ kind: "deep", windowStart: "2026-01-01T00:00:00Z" });
+    const opsJob = await launchSyncJob(job);
+    res.json({ message: "Deep sync started from Jan 1, 2026.", job_id: job.id, ops_job_id: opsJob?.id, status_url: `/admin/sync-jobs/${job.id}` });
+  } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
 /* ===============================
    ⚡ QUICK 2-DAY SYNC (WEEKEND FIX)
 ================================ */
 app.get("/admin/quick-sync", async (req, res) => {
-  if (!verifyAdmin(req)) return res.status(403).json({ error: "Unauthorized" });
-  res.json({ message: "Quick 2-day sync started. Check Render logs." });
-
-  (async () => {
+  if (!(await verifyAdmin(req, "admin:sync"))) return res.status(403).json({ error: "Unauthorized" });
+  try {
     // Get the exact time 48 hours ago
     const d = new Date();
     d.setDate(d.getDate() - 2);
-    const minDate = d.toISOString();
-    
-    let url = `https://${clean(SHOP_NAME)}.myshopify.com/admin/api/${API_VER}/orders.json?status=any&limit=250&updated_at_min=${minDate}`;
-    let totalSynced = 0;
-
-    while (url) {
-      try {
-        const r = await axios.get(url, { headers: { "X-Shopify-Access-Token": clean(SHOPIFY_ACCESS_TOKEN) } });
-        const orders = r.data.orders || [];
-        if (orders.length === 0) break;
-
-        for (const o of orders) {
-          await syncOrder(o);
-          await new Promise(resolve => setTimeout(resolve, 50)); // Breathe so we don't spam the DB
-        }
-
-        totalSynced += orders.length;
-        logEvent('INFO', 'QUICK_SYNC', `Progress: ${totalSynced} orders`);
-
-        const link = r.headers.link || '';
-        const match = link.match(/<([^>]+)>;\s*rel="next"/);
-        url = match ? match[1] : null;
-      } catch (e) {
-        logEvent('ERROR', 'QUICK_SYNC', 'Page failed', { error: e.message });
-        break;
-      }
-    }
-    logEvent('INFO', 'QUICK_SYNC', `Complete: ${totalSynced} orders synced from last 2 days.`);
-    console.log(`⚡ QUICK SYNC COMPLETE. Total: ${totalSynced} orders.`);
-  })();
+    const job = await createSyncJob({ kind: "quick", windowStart: d.toISOString() });
+    const opsJob = await launchSyncJob(job);
+    res.json({ message: "Quick 2-day sync started.", job_id: job.id, ops_job_id: opsJob?.id, status_url: `/admin/sync-jobs/${job.id}` });
+  } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
 /* ===============================
    🚀 LOGISTICS BATCH REFRESH
 ================================ */
-let massRefreshRunning = false; // 🟢 THE LOCK
+registerJobHandler("refresh_logistics", {
+  run: async (job, ctx) => {
+    const limit = Math.min(parseInt(job.params.limit) || 500, 2000);
+    const { rows } = await pool.query(`
+      SELECT awb, courier_source FROM shipments_ops
+      WHERE (delivered = FALSE OR delivered IS NULL)
+      ORDER BY last_checked_at ASC NULLS FIRST LIMIT $1
+    `, [limit]);
+    logEvent('INFO', 'RECOVERY', `Background sweep started for ${rows.length} shipments`);
+    await ctx.progress(0, rows.length);
+
+    // BlueDart AWBs are tracked in batches of BLUEDART_BATCH_SIZE, 100 at a time to keep results fresh
+    let prefetched = new Map();
+    for (let i = 0; i < rows.length; i++) {
+      if (i % 100 === 0) prefetched = await prefetchBluedart(rows.slice(i, i + 100));
+      const awb = String(rows[i].awb || "").trim();
+      await forceRefreshShipment(rows[i].awb, rows[i].courier_source, prefetched.has(awb) ? prefetched.get(awb) : undefined);
+      if (!(await ctx.progress(i + 1))) {
+        logEvent('INFO', 'RECOVERY', `Background sweep cancelled after ${i + 1} shipments`);
+        return;
+      }
+      if (!prefetched.get(awb)) await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+    logEvent('INFO', 'RECOVERY', `Background sweep finished`);
+  }
+});
 
-app.get("/ops/refresh-logistics", async (req, res) => {
-  if (!verifyAdmin(req)) return res.status(403).json({ error: "Unauthorized" });
-  
-  // 🟢 BOUNCE SPAMMERS
-  if (massRefreshRunning) {
-    return res.status(429).json({ error: "A mass-refresh is already running! Please check back in 15 minutes." });
+registerJobHandler("import_pincodes", {
+  run: async (job, ctx) => importPincodeDirectory(job.params, ctx)
+});
+
+registerJobHandler("rebuild_lane_stats", {
+  run: async (job, ctx) => {
+    const rows = await rebuildLaneStats();
+    await ctx.progress(rows, rows);
+  }
+});
+
+registerJobHandler("reconcile_cod", {
+  run: async (job, ctx) => {
+    const rows = await reconcileCodOrders();
+    await ctx.progress(rows, rows);
   }
+});
+
+app.get("/ops/refresh-logistics", async (req, res) => {
+  if (!(await verifyAdmin(req, "ops:refresh"))) return res.status(403).json({ error: "Unauthorized" });
   
-  massRefreshRunning = true;
-  res.json({ message: "Background mass-refresh started. Up to 500 packages. Check back in ~15 mins." });
+  try {
+    // 🟢 THE LOCK: the dedup key allows one mass-refresh across all instances
+    const { job, created } = await enqueueJob("refresh_logistics", { limit: 500 }, "refresh_logistics");
 
-  (async () => {
-    try {
-      const { rows } = await pool.query(`
-        SELECT awb, courier_source FROM shipments_ops
-        WHERE (delivered = FALSE OR delivered IS NULL)
-        ORDER BY last_checked_at ASC NULLS FIRST LIMIT 500
-      `);
-      logEvent('INFO', 'RECOVERY', `Background sweep started for ${rows.length} shipments`);
-      for (const r of rows) {
-        await forceRefreshShipment(r.awb, r.courier_source);
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
-      logEvent('INFO', 'RECOVERY', `Background sweep finished`);
-    } catch (e) {
-      logEvent('ERROR', 'RECOVERY', 'Sweep crashed', { error: e.message });
-    } finally {
-      massRefreshRunning = false; // 🟢 RELEASE THE LOCK
+    // 🟢 BOUNCE SPAMMERS
+    if (!created) {
+      return res.status(429).json({ error: "A mass-refresh is already running!", job_id: job?.id, status_url: `/ops/jobs/${job?.id}` });
     }
-  })();
+    res.json({ message: "Background mass-refresh queued. Up to 500 packages.", job_id: job.id, status_url: `/ops/jobs/${job.id}` });
+  } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
 /* ===============================
@@ -1232,12 +5813,7 @@ app.get("/ops/refresh-logistics", async (req, res) => {
 async function runBackfill() {
   if (!SHOPIFY_ACCESS_TOKEN || !SHOP_NAME) return;
   try {
-    const r = await axios.get(
-      `https://${clean(SHOP_NAME)}.myshopify.com/admin/api/${API_VER}/orders.json?status=any&limit=50`,
-      { headers: { "X-Shopify-Access-Token": clean(SHOPIFY_ACCESS_TOKEN) } }
-    );
-    for (const o of r.data.orders || []) await syncOrder(o);
-    logEvent('INFO', 'BACKFILL', `Backfilled ${r.data.orders?.length} orders`);
+    await launchSyncJob(await createSyncJob({ kind: "backfill", maxOrders: 50 }));
   } catch (e) { logEvent('ERROR', 'BACKFILL', 'Backfill Failed', { error: e.message }); }
 }
 
@@ -1246,35 +5822,73 @@ async function runSafetyNet() {
   const d = new Date(); d.setDate(d.getDate() - 10);
   try {
     logEvent('INFO', 'SAFETY_NET', 'Running 10-day catch-up scan...');
-    const r = await axios.get(
-      `https://${clean(SHOP_NAME)}.myshopify.com/admin/api/${API_VER}/orders.json?status=any&limit=250&updated_at_min=${d.toISOString()}`,
-      { headers: { "X-Shopify-Access-Token": clean(SHOPIFY_ACCESS_TOKEN) } }
-    );
-    const orders = r.data.orders || [];
-    for (const o of orders) await syncOrder(o);
-    logEvent('INFO', 'SAFETY_NET', `Updated ${orders.length} orders`);
+    await launchSyncJob(await createSyncJob({ kind: "safety_net", windowStart: d.toISOString() }));
   } catch (e) { logEvent('ERROR', 'SAFETY_NET', 'Safety Net Failed', { error: e.message }); }
 }
 
-cron.schedule('0 */12 * * *', runSafetyNet);
-
-cron.schedule('10 14 * * *', () => {
-  eddCache.clear();
-  logEvent('INFO', 'CACHE', 'EDD Cache cleared at 14:10 IST');
-}, { scheduled: true, timezone: "Asia/Kolkata" });
-
-cron.schedule('0 3 * * *', async () => {
-  await pool.query(`DELETE FROM processed_webhooks WHERE processed_at < NOW() - INTERVAL '7 days'`).catch(console.error);
-  await pool.query(`DELETE FROM system_logs WHERE timestamp < NOW() - INTERVAL '30 days'`).catch(console.error);
-  logEvent('INFO', 'CLEANUP', 'Old logs and webhook records pruned');
-});
+// Each warehouse's EDDs expire 10 minutes after its own pickup cutoff (the courier APIs roll over by then)
+const EDD_CACHE_GRACE_MS = 10 * 60000;
+const eddCachePickupDay = new Map();
 
-setInterval(() => {
-  const now = Date.now();
-  for (const [ip, r] of rateLimiter.entries()) {
-    if (now - r.t > 60000) rateLimiter.delete(ip);
+function clearEddCacheFor(code) {
+  let cleared = 0;
+  for (const key of eddCache.keys()) {
+    if (key.startsWith(`${code}:`)) { eddCache.delete(key); cleared++; }
   }
-}, 60 * 60 * 1000);
+  return cleared;
+}
+
+// Started by startServer, so importing this module schedules nothing
+function scheduleBackgroundJobs() {
+  cron.schedule('0 */12 * * *', runSafetyNet);
+
+  cron.schedule('*/5 * * * *', resumeSyncJobs);
+
+  cron.schedule('15 * * * *', escalateStaleNdrs);
+
+  cron.schedule('30 2 * * *', () => {
+    enqueueJob("rebuild_lane_stats", {}, "rebuild_lane_stats")
+      .catch(e => logEvent('ERROR', 'LANE_STATS', 'Nightly rebuild enqueue failed', { error: e.message }));
+  }, { timezone: "Asia/Kolkata" });
+
+  // Moves delivered-but-unremitted orders to "missing" once they pass COD_REMITTANCE_DAYS
+  cron.schedule('45 2 * * *', () => {
+    enqueueJob("reconcile_cod", {}, "reconcile_cod")
+      .catch(e => logEvent('ERROR', 'COD_RECON', 'Nightly reconciliation enqueue failed', { error: e.message }));
+  }, { timezone: "Asia/Kolkata" });
+
+  cron.schedule('* * * * *', () => {
+    const at = new Date(nowIST().getTime() - EDD_CACHE_GRACE_MS);
+    for (const w of warehouses) {
+      const day = nextPickupDate(w, at).getTime();
+      const previous = eddCachePickupDay.get(w.code);
+      eddCachePickupDay.set(w.code, day);
+      if (previous === undefined || previous === day) continue;
+      const cleared = clearEddCacheFor(w.code);
+      logEvent('INFO', 'CACHE', `EDD cache cleared for ${w.code} after its ${w.pickup_cutoff} cutoff`, { entries: cleared });
+    }
+  }, { scheduled: true, timezone: "Asia/Kolkata" });
+
+  cron.schedule('*/5 * * * *', loadWarehouses);
+  cron.schedule('*/5 * * * *', loadCodRules);
+  cron.schedule('*/30 * * * *', loadHolidays);
+
+  cron.schedule('0 3 * * *', async () => {
+    await pool.query(`DELETE FROM processed_webhooks WHERE processed_at < NOW() - INTERVAL '7 days'`).catch(console.error);
+    await pool.query(`DELETE FROM system_logs WHERE timestamp < NOW() - INTERVAL '30 days'`).catch(console.error);
+    await pool.query(`DELETE FROM admin_audit_log WHERE created_at < NOW() - INTERVAL '180 days'`).catch(console.error);
+    await pool.query(`DELETE FROM tracking_otps WHERE created_at < NOW() - INTERVAL '2 days'`).catch(console.error);
+    await pool.query(`DELETE FROM webhook_deliveries WHERE status = 'delivered' AND delivered_at < NOW() - INTERVAL '14 days'`).catch(console.error);
+    logEvent('INFO', 'CLEANUP', 'Old logs and webhook records pruned');
+  });
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [ip, r] of rateLimiter.entries()) {
+      if (now - r.t > 60000) rateLimiter.delete(ip);
+    }
+  }, 60 * 60 * 1000);
+}
 
 /* ===============================
    🏥 HEALTH ENDPOINT
@@ -1283,6 +5897,10 @@ app.get("/health", async (req, res) => {
   try {
     const dbRes = await pool.query('SELECT COUNT(*) FROM shipments_ops WHERE delivered IS DISTINCT FROM TRUE AND next_check_at <= NOW()');
     const pending = parseInt(dbRes.rows[0].count);
+    const courierLimits = {};
+    for (const [name, l] of courierLimiters.entries()) {
+      courierLimits[name] = { concurrency: l.concurrency, rpm: l.rpm, active: l.active, waiting: l.waiters.length };
+    }
     const cbStatus = {};
     for (const [p, cb] of Object.entries(circuitBreakers)) {
       cbStatus[p] = cb.openUntil > Date.now() ? 'OPEN' : 'CLOSED';
@@ -1291,7 +5909,16 @@ app.get("/health", async (req, res) => {
       status: "READY",
       pendingShipments: pending,
       circuitBreakers: cbStatus,
+      scheduler: {
+        queueDepth: lastQueueSize,
+        lagSeconds: lastQueueLagSeconds,
+        inFlight: schedulerInFlight,
+        processedLast5m: schedulerThroughput(5),
+        processedLast15m: schedulerThroughput(15),
+        courierLimits
+      },
       eddCacheSize: eddCache.size,
+      serviceabilityCacheSize: serviceabilityCache.size,
       uptime: Math.floor(process.uptime()) + "s"
     });
   } catch (e) {
@@ -1299,15 +5926,59 @@ app.get("/health", async (req, res) => {
   }
 });
 
+// Prometheus scrape target. With METRICS_TOKEN set, scrapers send it as a bearer token;
+// otherwise an admin API key with ops:read is required.
+app.get("/metrics", async (req, res) => {
+  const token = clean(METRICS_TOKEN);
+  const bearer = req.headers.authorization?.match(/^Bearer\s+(.+)$/i)?.[1] || "";
+  // Digests are always 32 bytes, so timingSafeEqual can't throw on odd-length or non-ASCII input
+  const digest = v => crypto.createHash("sha256").update(v).digest();
+  const tokenOk = token && crypto.timingSafeEqual(digest(bearer), digest(token));
+  if (!tokenOk && (token || !(await verifyAdmin(req, "ops:read")))) return res.status(403).json({ error: "Unauthorized" });
+
+  for (const [provider, cb] of Object.entries(circuitBreakers)) {
+    setGauge("courier_circuit_open", { provider }, cb.openUntil > Date.now() ? 1 : 0);
+    setGauge("courier_circuit_failures", { provider }, cb.failures);
+  }
+  for (const [provider, limiter] of courierLimiters) {
+    setGauge("courier_limiter_active", { provider }, limiter.active);
+    setGauge("courier_limiter_waiting", { provider }, limiter.waiters.length);
+  }
+  setGauge("scheduler_queue_depth", {}, lastQueueSize);
+  setGauge("scheduler_lag_seconds", {}, lastQueueLagSeconds);
+  setGauge("scheduler_in_flight", {}, schedulerInFlight);
+
+  const lookups = metricRegistry.get("edd_cache_lookups_total").series;
+  const count = result => [...lookups.values()].find(e => e.labels.result === result)?.value || 0;
+  const total = count("hit") + count("miss");
+  setGauge("edd_cache_hit_ratio", {}, total ? +(count("hit") / total).toFixed(4) : 0);
+  setGauge("edd_cache_entries", {}, eddCache.size);
+
+  setGauge("db_pool_connections", { state: "total" }, pool.totalCount);
+  setGauge("db_pool_connections", { state: "idle" }, pool.idleCount);
+  setGauge("db_pool_connections", { state: "waiting" }, pool.waitingCount);
+  setGauge("db_pool_max", {}, pool.options.max);
+
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
 /* ===============================
    🛑 GRACEFUL SHUTDOWN
 ================================ */
 async function shutdown(signal) {
   console.log(`\n${signal} received. Shutting down gracefully...`);
   if (schedulerInterval) clearTimeout(schedulerInterval);
+  if (webhookDispatchInterval) clearInterval(webhookDispatchInterval);
+  if (notificationDispatchInterval) clearInterval(notificationDispatchInterval);
+  if (shopifyEventDispatchInterval) clearInterval(shopifyEventDispatchInterval);
+  if (opsJobInterval) clearInterval(opsJobInterval);
+
+  // Hand our running jobs back to the queue so another instance resumes them right away
+  await pool.query(`UPDATE ops_jobs SET status = 'queued', locked_by = NULL WHERE status = 'running' AND locked_by = $1`, [INSTANCE_ID]).catch(() => {});
   
   // 🟢 FRIEND'S FIX: Hard-unlock all advisory locks on shutdown
   await pool.query(`SELECT pg_advisory_unlock_all()`).catch(() => {});
+  await pool.query(`UPDATE shipments_ops SET lease_until = NULL WHERE leased_by = $1`, [INSTANCE_ID]).catch(() => {});
   
   await pool.end();
   console.log("✅ DB pool closed. Exiting.");
@@ -1352,9 +6023,24 @@ app.get("/test-db", async (req, res) => {
 ================================ */
 const PORT = process.env.PORT || 10000;
 
-(async () => {
+// Run by server.js (npm start); importing this module starts nothing
+async function startServer() {
+  scheduleBackgroundJobs();
   await runMigrations();
+  await loadWarehouses();
+  await loadHolidays();
+  await loadCodRules();
   setTimeout(runBackfill, 5000);
+  setTimeout(resumeSyncJobs, 15000);
   startScheduler();
+  webhookDispatchInterval = setInterval(dispatchWebhookDeliveries, 15000);
+  notificationDispatchInterval = setInterval(dispatchNotifications, 30000);
+  shopifyEventDispatchInterval = setInterval(dispatchShopifyEvents, 30000);
+  opsJobInterval = setInterval(opsJobTick, 10000);
   app.listen(PORT, () => console.log(`🚀 HighSpark Logistics Master v5.1 LIVE on :${PORT}`));
-})();
\ No newline at end of file
+}
+
+export {
+  app, startServer, useEddLookups, resolveShipmentState, applyShipmentState, buildShiprocketResult,
+  buildBluedartResult, parseBluedartXml, SHIPROCKET_STATUS_CODES, BLUEDART_STATUS_CODES, DELHIVERY_STATUS_CODES
+};
\ No newline at end of file
@@ -0,0 +1,5 @@
+// Process entry point (npm start). index.js only defines the app, so tests can import it
+// without running migrations, background jobs or the listener.
+import { startServer } from "./index.js";
+
+startServer();
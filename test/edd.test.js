@@ -0,0 +1,81 @@
+// /edd with no courier credentials, no database and no network: the pincode master and
+// lane history come from the fixtures below through useEddLookups.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+for (const name of ["SHIPROCKET_EMAIL", "SHIPROCKET_PASSWORD", "LOGIN_ID", "BD_LICENCE_KEY_TRACK", "DELHIVERY_API_TOKEN"]) {
+  delete process.env[name];
+}
+process.env.PINCODE_LIVE_FALLBACK = "false";
+// node --test reads this process's stdout, so request logs go to stderr
+process.env.LOG_TO_STDERR = "true";
+
+const { app, useEddLookups } = await import("../index.js");
+
+const PINCODES = {
+  "560034": { district: "Bengaluru", state_code: "KA", tier: "metro", serviceable: true },
+  "302017": { district: "Jaipur", state_code: "RJ", tier: "tier_1", serviceable: true },
+  "744301": { district: "Nicobar", state_code: "AN", tier: "other", serviceable: false }
+};
+// Lane history from the default warehouse (411022); Jaipur has too few samples to count
+const LANES = {
+  "560034": { dest_level: "pincode", dest_key: "560034", courier: "*", samples: 48, mean_days: 2.2, stddev_days: 0.6, p50_days: 2, p90_days: 3 },
+  "302017": { dest_level: "pincode", dest_key: "302017", courier: "*", samples: 3, mean_days: 4.1, stddev_days: 1.9, p50_days: 4, p90_days: 6 }
+};
+
+const liveLookups = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  useEddLookups({
+    pincodeRow: async p => PINCODES[p] || null,
+    livePincode: async p => { liveLookups.push(p); return null; },
+    laneRows: async (origin, pincode) => (origin === "411022" && LANES[pincode] ? [LANES[pincode]] : [])
+  });
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+async function edd(body) {
+  const r = await fetch(`${baseUrl}/edd`, {
+    method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(body)
+  });
+  assert.equal(r.status, 200);
+  return r.json();
+}
+
+test("promises from lane history and the pincode master", async () => {
+  const body = await edd({ pincode: "560034" });
+  assert.match(body.edd_display, /^\d{2} \w{3} - \d{2} \w{3}$/);
+  assert.equal(body.city, "Bengaluru");
+  assert.equal(body.tier, "metro");
+  assert.equal(body.badge, "METRO_EXPRESS");
+  assert.equal(body.source, "History");
+  assert.equal(body.edd_method, "lane");
+  assert.equal(body.lane.sample_size, 48);
+  assert.equal(body.warehouse.code, "default");
+});
+
+test("unserviceable pincode in the master gets no promise", async () => {
+  assert.deepEqual(await edd({ pincode: "744301" }), { edd_display: null, city: "Nicobar", serviceable: false });
+});
+
+test("lane below the sample minimum gives no promise without a courier", async () => {
+  assert.deepEqual(await edd({ pincode: "302017" }), { edd_display: null });
+});
+
+test("pincode missing from the master stays offline", async () => {
+  assert.deepEqual(await edd({ pincode: "110001" }), { edd_display: null });
+});
+
+test("malformed pincode", async () => {
+  assert.deepEqual(await edd({ pincode: "5600" }), { edd_display: null });
+});
+
+test("no live pincode lookups were made", () => {
+  assert.deepEqual(liveLookups, []);
+});
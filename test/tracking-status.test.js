@@ -0,0 +1,121 @@
+// Replays recorded courier tracking responses through the result builders and resolveShipmentState.
+// Fixtures follow the couriers' response shapes, without customer details.
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  resolveShipmentState, applyShipmentState, buildShiprocketResult, buildBluedartResult, parseBluedartXml,
+  SHIPROCKET_STATUS_CODES, BLUEDART_STATUS_CODES, DELHIVERY_STATUS_CODES
+} from "../index.js";
+
+const STATES = new Set([
+  "PROCESSING", "IN_TRANSIT", "OUT_FOR_DELIVERY", "NDR", "DELIVERED",
+  "RTO_IN_TRANSIT", "RTO_DELIVERED", "CANCELLED", "LOST", "DAMAGED"
+]);
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+function shiprocket(name) {
+  return buildShiprocketResult(JSON.parse(fixture(`shiprocket/${name}.json`)));
+}
+
+// Same pairing as trackBluedart: forward shipment first, return leg (if any) second
+async function bluedart(name) {
+  const shipments = (await parseBluedartXml(fixture(`bluedart/${name}.xml`))).ShipmentData.Shipment;
+  return Array.isArray(shipments)
+    ? buildBluedartResult(shipments[0], shipments[1] || null)
+    : buildBluedartResult(shipments, null);
+}
+
+describe("status code tables", () => {
+  const tables = { shiprocket: SHIPROCKET_STATUS_CODES, bluedart: BLUEDART_STATUS_CODES, delhivery: DELHIVERY_STATUS_CODES };
+
+  for (const [courier, table] of Object.entries(tables)) {
+    test(`${courier} maps every code to a canonical state or null`, () => {
+      for (const [code, entry] of Object.entries(table)) {
+        assert.ok(entry.state === null || STATES.has(entry.state), `${courier} ${code}: ${entry.state}`);
+        assert.ok(entry.reason === null || /^[A-Z_]+$/.test(entry.reason), `${courier} ${code}: ${entry.reason}`);
+        assert.ok(entry.state || entry.reason, `${courier} ${code} maps to nothing`);
+      }
+    });
+  }
+
+  test("shiprocket codes are the numeric sr-status values", () => {
+    for (const code of Object.keys(SHIPROCKET_STATUS_CODES)) assert.match(code, /^\d+$/);
+  });
+
+  test("every bluedart return-leg code lands in an RTO state", () => {
+    const returnCodes = Object.keys(BLUEDART_STATUS_CODES).filter(code => code === "RET" || code.startsWith("RET_"));
+    assert.ok(returnCodes.length > 0);
+    for (const code of returnCodes) {
+      assert.match(BLUEDART_STATUS_CODES[code].state, /^RTO_/, code);
+    }
+  });
+});
+
+describe("shiprocket", () => {
+  test("delivered shipment", () => {
+    const result = shiprocket("delivered");
+    assert.equal(result.delivered, true);
+    assert.deepEqual(resolveShipmentState(result, "shiprocket"), { state: "DELIVERED", reason: "DELIVERED" });
+  });
+
+  test("delivered code without DELIVERED in the text still counts as delivered", () => {
+    const result = { ...shiprocket("fulfilled"), actual_courier: "shiprocket" };
+    assert.equal(result.status, "Fulfilled");
+    assert.deepEqual(applyShipmentState(result), { state: "DELIVERED", reason: "FULFILLED" });
+    assert.equal(result.delivered, true);
+  });
+
+  test("RTO delivered under a cancelled top-level status", () => {
+    const result = shiprocket("rto-delivered-cancelled");
+    assert.equal(result.status, "RTO Delivered");
+    assert.equal(result.delivered, false);
+    assert.equal(resolveShipmentState(result, "shiprocket").state, "RTO_DELIVERED");
+  });
+
+  test("NDR keeps the courier remark as the reason", () => {
+    assert.deepEqual(resolveShipmentState(shiprocket("ndr"), "shiprocket"),
+      { state: "NDR", reason: "Consignee not available - Door locked" });
+  });
+
+  test("informational code carries its reason onto the next state", () => {
+    assert.deepEqual(resolveShipmentState(shiprocket("cancellation-requested"), "shiprocket"),
+      { state: "IN_TRANSIT", reason: "CANCELLATION_REQUESTED" });
+  });
+
+  test("activities without a code fall back to shipment_status", () => {
+    assert.deepEqual(resolveShipmentState(shiprocket("uncoded-activities"), "shiprocket"),
+      { state: "IN_TRANSIT", reason: "SHIPPED" });
+  });
+});
+
+describe("bluedart", () => {
+  test("delivered shipment", async () => {
+    const result = await bluedart("delivered");
+    assert.equal(result.delivered, true);
+    assert.equal(result.history.length, 3);
+    assert.deepEqual(resolveShipmentState(result, "bluedart"), { state: "DELIVERED", reason: "SHIPMENT DELIVERED" });
+  });
+
+  test("out-for-delivery scan refines an IT StatusType", async () => {
+    assert.equal(resolveShipmentState(await bluedart("out-for-delivery"), "bluedart").state, "OUT_FOR_DELIVERY");
+  });
+
+  test("delivered return leg is RTO delivered", async () => {
+    const result = await bluedart("rto-delivered");
+    assert.equal(result.delivered, true);
+    assert.match(result.status, /RET AWB: 69120447730/);
+    assert.equal(resolveShipmentState(result, "bluedart").state, "RTO_DELIVERED");
+  });
+
+  test("return leg without a StatusType is still RTO", async () => {
+    const result = await bluedart("rto-return-without-statustype");
+    assert.equal(result.status_codes[0].code, "RET");
+    assert.equal(resolveShipmentState(result, "bluedart").state, "RTO_IN_TRANSIT");
+  });
+});
+
+test("no tracker result is still processing", () => {
+  assert.deepEqual(resolveShipmentState(null, "shiprocket"), { state: "PROCESSING", reason: null });
+});